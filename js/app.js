@@ -6,6 +6,25 @@ import { AudioPlayer } from './modules/audio-player.js';
 import { LessonLoader } from './modules/lesson-loader.js';
 import { QuizController } from './modules/quiz-controller.js';
 import { KeyboardShortcuts } from './modules/keyboard-shortcuts.js';
+import { LessonBrowser } from './modules/lesson-browser.js';
+import { ProgressStore } from './modules/progress-store.js';
+import { ReviewScheduler } from './modules/review-scheduler.js';
+import { ClozeGenerator } from './modules/cloze-generator.js';
+import { QuestionGenerator } from './modules/question-generator.js';
+import { SpeedControl } from './modules/speed-control.js';
+import { LoopControl } from './modules/loop-control.js';
+import { WordHighlighter } from './modules/word-highlighter.js';
+import { TranscriptPanel } from './modules/transcript-panel.js';
+import { HintBuilder } from './modules/hint-builder.js';
+import { ResultsReport } from './modules/results-report.js';
+import { ResultsExporter } from './modules/results-exporter.js';
+import { EmbedBridge } from './modules/embed-bridge.js';
+import { LmsReporter } from './modules/lms-reporter.js';
+import { OfflineStore } from './modules/offline-store.js';
+import { ExamController } from './modules/exam-controller.js';
+import { SessionMixer } from './modules/session-mixer.js';
+import { AdaptiveEngine } from './modules/adaptive-engine.js';
+import { ShortcutHelp } from './modules/shortcut-help.js';
 import { DOMHelpers } from './utils/dom-helpers.js';
 
 export class ListeningApp {
@@ -15,13 +34,44 @@ export class ListeningApp {
         this.lessonLoader = new LessonLoader();
         this.quizController = new QuizController();
         this.keyboard = new KeyboardShortcuts();
+        this.lessonBrowser = new LessonBrowser();
+        this.progressStore = new ProgressStore();
+        this.reviewScheduler = new ReviewScheduler();
+        this.clozeGenerator = new ClozeGenerator();
+        this.questionGenerator = new QuestionGenerator();
+        this.speedControl = new SpeedControl();
+        this.loopControl = new LoopControl();
+        this.wordHighlighter = new WordHighlighter();
+        this.transcriptPanel = new TranscriptPanel();
+        this.hintBuilder = new HintBuilder();
+        this.resultsReport = new ResultsReport();
+        this.resultsExporter = new ResultsExporter();
+        this.embedBridge = new EmbedBridge();
+        this.lmsReporter = new LmsReporter();
+        this.offlineStore = new OfflineStore();
+        this.examController = new ExamController();
+        this.sessionMixer = new SessionMixer();
+        this.adaptiveEngine = new AdaptiveEngine();
+        this.shortcutHelp = new ShortcutHelp();
         
         // State
         this.currentLesson = null;
+        this.currentLessonId = null;
+        this.sessionStartedAt = null;
+        this.reviewSession = null;
+        this.examSession = null;
         this.currentCueIndex = 0;
         this.vttCues = [];
         this.currentMode = CONFIG.defaultMode;
+        this.clozeRule = CONFIG.cloze.defaultRule;
+        this.clozeEvery = CONFIG.cloze.every;
+        this.speedLevel = null;
+        this.hintUsage = { question: null, level: 0 };
+        this.hintTimer = null;
+        this.sentenceTimes = {};
+        this.sentenceTimer = null;
         this.results = [];
+        this.offlineDownloads = new Set();
         this.currentQuestions = [];
         this.currentQuestionIndex = 0;
         
@@ -36,6 +86,7 @@ export class ListeningApp {
         this.sessionScore = {
             correct: 0,
             total: 0,
+            points: 0,
             byMode: {}
         };
         
@@ -62,16 +113,77 @@ export class ListeningApp {
             const audioElement = DOMHelpers.getElementById('audioPlayer', true);
             this.audioPlayer = new AudioPlayer(audioElement);
             this.audioPlayer.initializeElements();
+            this.wordHighlighter.initialize(audioElement);
+            
+            // Initialize speed panel
+            const speedPanel = DOMHelpers.getElementById('speedPanel');
+            if (speedPanel) {
+                this.speedControl.initialize(speedPanel, this.audioPlayer.speedBtn);
+            }
+            
+            // Initialize A-B loop bar
+            const loopBar = DOMHelpers.getElementById('loopBar');
+            const loopBtn = DOMHelpers.getElementById('loopBtn');
+            if (loopBar && loopBtn) {
+                this.loopControl.initialize(loopBar, loopBtn);
+            }
             
             // Initialize quiz controller
             this.quizController.initialize();
             
-            // Initialize keyboard shortcuts
+            // Initialize keyboard shortcuts and their overlay
             this.keyboard.initialize();
+            const shortcutHelpContainer = DOMHelpers.getElementById('shortcutHelp');
+            if (shortcutHelpContainer) {
+                this.shortcutHelp.initialize(shortcutHelpContainer, this.keyboard);
+            }
+            
+            // Initialize lesson browser
+            const lessonBrowserContainer = DOMHelpers.getElementById('lessonBrowser');
+            if (lessonBrowserContainer) {
+                this.lessonBrowser.initialize(lessonBrowserContainer);
+            }
+            
+            // Initialize transcript panel
+            const transcriptContainer = DOMHelpers.getElementById('transcriptPanel');
+            const transcriptBtn = DOMHelpers.getElementById('transcriptBtn');
+            if (transcriptContainer && transcriptBtn) {
+                this.transcriptPanel.initialize(transcriptContainer, transcriptBtn);
+            }
+            
+            // Initialize results report
+            const resultsReportContainer = DOMHelpers.getElementById('resultsReport');
+            if (resultsReportContainer) {
+                this.resultsReport.initialize(resultsReportContainer);
+            }
+            
+            // Initialize exam panel
+            const examPanel = DOMHelpers.getElementById('examPanel');
+            if (examPanel) {
+                this.examController.initialize(examPanel);
+            }
+            
+            // Cache the app shell and serve downloaded lessons offline
+            this.offlineStore.registerServiceWorker();
+            
+            // Talk to the host page when embedded in an iframe
+            this.embedBridge.initialize();
             
             // Setup callbacks
             this.setupCallbacks();
             
+            // Open progress storage
+            await this.progressStore.initialize();
+            
+            // The learner's own shortcut keys
+            await this.loadShortcuts();
+            
+            // Adaptive mode works from the answers of all lessons
+            await this.loadAdaptiveHistory();
+            
+            // Report to an LMS when launched from one (SCORM 1.2 or xAPI)
+            this.lmsReporter.initialize(await this.getLearnerId());
+            
             // Load initial lesson
             this.updateLoadingText('Lade Lektion...');
             const lessonId = this.getLessonIdFromUrl() || CONFIG.defaultLesson;
@@ -105,9 +217,7 @@ export class ListeningApp {
             
             // Add change event listener
             DOMHelpers.addEventListener(modeSelect, 'change', (e) => {
-                this.currentMode = e.target.value;
-                this.currentQuestionIndex = 0;
-                this.handleSentenceChange(this.currentCueIndex, this.vttCues[this.currentCueIndex]);
+                this.setMode(e.target.value);
             });
         }
         
@@ -117,128 +227,1057 @@ export class ListeningApp {
             DOMHelpers.addEventListener(hintBtn, 'click', () => this.showHint());
         }
         
-        // Hint close button
-        const hintCloseBtn = DOMHelpers.getElementById('hintCloseBtn');
-        if (hintCloseBtn) {
-            DOMHelpers.addEventListener(hintCloseBtn, 'click', () => this.hideHint());
+        // Hint close button
+        const hintCloseBtn = DOMHelpers.getElementById('hintCloseBtn');
+        if (hintCloseBtn) {
+            DOMHelpers.addEventListener(hintCloseBtn, 'click', () => this.hideHint());
+        }
+        
+        // Shortcut overlay button
+        const shortcutsBtn = DOMHelpers.getElementById('shortcutsBtn');
+        if (shortcutsBtn) {
+            DOMHelpers.addEventListener(shortcutsBtn, 'click', () => this.shortcutHelp.toggle(this.getShortcutContext()));
+        }
+        
+        // Lesson browser button
+        const lessonBtn = DOMHelpers.getElementById('lessonBtn');
+        if (lessonBtn) {
+            DOMHelpers.addEventListener(lessonBtn, 'click', () => this.openLessonBrowser());
+        }
+        
+        // Restart button
+        const restartBtn = DOMHelpers.getElementById('restartBtn');
+        if (restartBtn) {
+            DOMHelpers.addEventListener(restartBtn, 'click', () => this.restart());
+        }
+        
+        // Results export and import
+        const exportJsonBtn = DOMHelpers.getElementById('exportJsonBtn');
+        if (exportJsonBtn) {
+            DOMHelpers.addEventListener(exportJsonBtn, 'click', () => this.exportResults('json'));
+        }
+        const exportCsvBtn = DOMHelpers.getElementById('exportCsvBtn');
+        if (exportCsvBtn) {
+            DOMHelpers.addEventListener(exportCsvBtn, 'click', () => this.exportResults('csv'));
+        }
+        const importResultsBtn = DOMHelpers.getElementById('importResultsBtn');
+        const importResultsInput = DOMHelpers.getElementById('importResultsInput');
+        if (importResultsBtn && importResultsInput) {
+            DOMHelpers.addEventListener(importResultsBtn, 'click', () => importResultsInput.click());
+            DOMHelpers.addEventListener(importResultsInput, 'change', async () => {
+                const file = importResultsInput.files[0];
+                importResultsInput.value = '';
+                if (file) await this.importResults(file);
+            });
+        }
+        
+        // Feedback is always enabled
+        this.feedbackEnabled = true;
+    }
+    
+    /**
+     * Setup callbacks between modules
+     */
+    setupCallbacks() {
+        // Audio player callbacks
+        this.audioPlayer.setCallbacks({
+            onPlay: () => {
+                console.log('Audio playing');
+            },
+            onPause: () => {
+                console.log('Audio paused');
+            },
+            onSentenceChange: (index, cue) => {
+                this.handleSentenceChange(index, cue);
+            },
+            onNext: () => {
+            
+                // If question is answered, skip to next sentence
+                if (this.quizController.isAnswered) {
+                    return true; // Allow skip
+                }
+                return false; // Don't skip if not answered
+            },
+            onSentenceEnd: () => {
+                this.quizController.enableAnswers();
+            },
+            onAutoPlayToggle: (enabled) => {
+                this.autoPlayEnabled = enabled;
+                console.log('Auto-play:', enabled ? 'enabled' : 'disabled');
+            },
+            onSpeedChange: (speed) => {
+                this.speedControl.setValues(speed, this.audioPlayer.autoRamp);
+                this.saveSpeed(speed);
+            },
+            onLoopChange: (loop, options) => {
+                this.loopControl.render(loop, options, this.audioPlayer.vttCues, this.audioPlayer.currentCueIndex);
+            }
+        });
+        
+        // A-B loop callbacks
+        this.loopControl.onMark = () => this.audioPlayer.markLoopPoint();
+        this.loopControl.onClear = () => this.audioPlayer.clearLoop();
+        this.loopControl.onOptionsChange = (options) => this.audioPlayer.setLoopOptions(options);
+        
+        // Clicking a timed word in the transcript plays from there
+        this.wordHighlighter.onSeek = (time) => this.audioPlayer.playFrom(time);
+        
+        // Transcript panel callbacks
+        this.transcriptPanel.onSelect = (index) => this.jumpToSentence(index);
+        this.resultsReport.onReplay = (lessonId, sentenceIndex) => this.replaySentence(lessonId, sentenceIndex);
+        this.resultsReport.onRetryMistakes = (items) => this.startRetry(items);
+        this.transcriptPanel.onBlindChange = (isBlind) => {
+            this.progressStore.saveSetting('transcriptBlind', isBlind).catch(error => {
+                console.error('Failed to save transcript setting:', error);
+            });
+        };
+        
+        // Speed panel callbacks
+        this.speedControl.onSpeedChange = (speed) => {
+            this.audioPlayer.setSpeed(speed);
+            this.saveSpeed(this.audioPlayer.currentSpeed);
+        };
+        this.speedControl.onAutoRampChange = (enabled) => {
+            this.audioPlayer.setAutoRamp(enabled);
+            this.progressStore.saveSetting('autoRamp', enabled).catch(error => {
+                console.error('Failed to save auto-tempo setting:', error);
+            });
+        };
+        
+        // Quiz controller callbacks
+        this.quizController.setCallbacks({
+            onAnswer: (answer) => {
+                this.handleAnswer(answer);
+            },
+            onNext: () => {
+                this.nextSentence();
+            },
+            onPrevQuestion: () => {
+                this.previousQuestion();
+            },
+            onNextQuestion: () => {
+                this.nextQuestion();
+            },
+            onClozeRuleChange: (rule, every) => {
+                this.clozeRule = rule;
+                this.clozeEvery = every || CONFIG.cloze.every;
+                this.handleSentenceChange(this.currentCueIndex, this.vttCues[this.currentCueIndex]);
+            }
+        });
+        
+        // Keyboard shortcuts
+        this.keyboard.setHandlers({
+            onPlayPause: () => this.audioPlayer.togglePlayback(),
+            onPreviousSentence: () => this.previousSentence(),
+            onNextSentence: () => this.nextSentence(),
+            onRepeatSentence: () => this.audioPlayer.playCurrentSentence(),
+            onToggleSpeed: () => this.audioPlayer.toggleSpeed(),
+            onMarkLoop: () => this.audioPlayer.markLoopPoint(),
+            onClearLoop: () => this.audioPlayer.clearLoop(),
+            onShowHint: () => this.showHint(),
+            onShowHelp: () => this.shortcutHelp.toggle(this.getShortcutContext()),
+            onShowTranslations: () => {
+                if (!this.examSession) this.quizController.showAllTranslations();
+            },
+            onAnswer: (index) => this.quizController.selectAnswer(index),
+            onSubmit: () => this.quizController.submitAnswer(),
+            onCheckOrder: () => this.quizController.sequencingController.checkAnswer(),
+            getContext: () => this.getShortcutContext(),
+            onBindingsChange: (overrides) => {
+                this.progressStore.saveSetting('shortcuts', overrides).catch(error => {
+                    console.error('Failed to save shortcuts:', error);
+                });
+            }
+        });
+        
+        // Lesson browser callbacks
+        this.lessonBrowser.onSelect = (lessonId) => this.switchLesson(lessonId);
+        this.lessonBrowser.onDownload = (lessonId) => this.downloadLesson(lessonId);
+        this.lessonBrowser.onRemoveDownload = (lessonId) => this.removeDownload(lessonId);
+        
+        // Exam callbacks (leaving returns to the exercise mode used before)
+        this.examController.onStart = (settings) => this.runExam(settings);
+        this.examController.onSubmit = () => this.finishExam();
+        this.examController.onRestart = () => this.startExam();
+        this.examController.onExit = () => this.setMode(this.currentMode);
+        
+        // Commands from the host page (embed mode)
+        this.embedBridge.onLoadLesson = (lessonId) => this.switchLesson(lessonId);
+        this.embedBridge.onSetMode = (mode) => {
+            if (this.isExerciseMode(mode) || mode === CONFIG.review.mode || mode === CONFIG.exam.mode) {
+                this.setMode(mode);
+            }
+        };
+        this.embedBridge.onPause = () => this.audioPlayer.pause();
+    }
+    
+    /**
+     * Load a lesson
+     */
+    async loadLesson(lessonId) {
+        try {
+            console.log(`Loading lesson: ${lessonId}`);
+            
+            // Load lesson data (lessons missing from the manifest are discovered from audio/)
+            await this.lessonLoader.loadAllLessons();
+            const lessonData = await this.lessonLoader.getLesson(lessonId);
+            
+            if (!lessonData) {
+                throw new Error(`Lesson ${lessonId} not found`);
+            }
+            
+            this.currentLesson = lessonData;
+            this.currentLessonId = lessonId;
+            
+            // Load VTT with questions
+            const cues = await this.loadCues(lessonData.vttUrl);
+            this.vttCues = cues;
+            this.currentCueIndex = 0;
+            
+            // Setup audio
+            this.audioPlayer.loadAudio(lessonData.audioUrl);
+            this.audioPlayer.setVTTCues(cues);
+            await this.applySpeedSettings(lessonData.level);
+            
+            // Update UI
+            this.updateProgress();
+            
+            // Continue where the learner left off
+            await this.restoreLessonState(lessonId);
+            await this.updateTranscript();
+            
+            this.embedBridge.send('lessonLoaded', {
+                lessonId: lessonId,
+                title: lessonData.title,
+                level: lessonData.level,
+                sentenceCount: cues.length,
+                mode: this.currentMode
+            });
+            
+            console.log(`Loaded ${cues.length} sentences`);
+            
+        } catch (error) {
+            console.error('Failed to load lesson:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply the learner's speed for a level and the auto-tempo setting
+     */
+    async applySpeedSettings(level) {
+        let speed = CONFIG.defaultSpeed;
+        let autoRamp = false;
+        
+        try {
+            speed = await this.progressStore.getSetting(`speed.${level}`, CONFIG.defaultSpeed);
+            autoRamp = await this.progressStore.getSetting('autoRamp', false);
+        } catch (error) {
+            console.error('Failed to load speed settings:', error);
+        }
+        
+        this.speedLevel = level;
+        this.audioPlayer.setSpeed(speed);
+        this.audioPlayer.setAutoRamp(autoRamp);
+        this.speedControl.setValues(this.audioPlayer.currentSpeed, autoRamp);
+    }
+    
+    /**
+     * Remember the learner's speed for the current level
+     */
+    saveSpeed(speed) {
+        if (!this.speedLevel) return;
+        
+        this.progressStore.saveSetting(`speed.${this.speedLevel}`, speed).catch(error => {
+            console.error('Failed to save speed:', error);
+        });
+    }
+
+    /**
+     * Load a lesson's cues and fill in generated questions where none were authored
+     */
+    async loadCues(vttUrl) {
+        const cues = await this.lessonLoader.loadVTTFromUrl(vttUrl);
+        return this.questionGenerator.addGeneratedQuestions(cues);
+    }
+
+    /**
+     * Restore session results, cue index and mode of an unfinished session
+     */
+    async restoreLessonState(lessonId) {
+        let state = null;
+        try {
+            state = await this.progressStore.getLessonState(lessonId);
+        } catch (error) {
+            console.warn('Failed to read lesson state:', error);
+        }
+        
+        const isUnfinished = state && state.sessionStartedAt && !(state.completedAt >= state.sessionStartedAt);
+        if (!isUnfinished) {
+            this.startNewSession();
+            this.handleSentenceChange(0, this.vttCues[0]);
+            return;
+        }
+        
+        // Rebuild results of this session from the stored answers
+        let answers;
+        try {
+            answers = await this.progressStore.getAnswers(lessonId);
+        } catch (error) {
+            console.warn('Failed to read stored answers, starting a new session:', error);
+            this.startNewSession();
+            this.handleSentenceChange(0, this.vttCues[0]);
+            return;
+        }
+        
+        this.sessionStartedAt = state.sessionStartedAt;
+        answers
+            .filter(answer => !answer.review && !answer.exam && answer.time >= this.sessionStartedAt)
+            .forEach(answer => {
+                this.results.push(answer);
+                this.updateScore(answer.correct, answer.questionType, answer.points ?? (answer.correct ? 1 : 0));
+            });
+        
+        if (state.mode && this.isExerciseMode(state.mode)) {
+            this.currentMode = state.mode;
+            this.syncModeSelect();
+        }
+        
+        const cueIndex = Math.min(Math.max(state.cueIndex || 0, 0), this.vttCues.length - 1);
+        this.audioPlayer.goToSentence(cueIndex);
+        
+        console.log(`Restored ${lessonId} at sentence ${cueIndex + 1} (${this.results.length} answers)`);
+    }
+    
+    /**
+     * Show the current lesson in the transcript panel (empty during review sessions)
+     */
+    async updateTranscript() {
+        if (this.reviewSession) {
+            this.transcriptPanel.setCues([], [], 0);
+            return;
+        }
+        
+        try {
+            this.transcriptPanel.setBlind(await this.progressStore.getSetting('transcriptBlind', false));
+        } catch (error) {
+            console.error('Failed to load transcript setting:', error);
+        }
+        this.transcriptPanel.setCues(this.vttCues, this.getSentenceStatuses(), this.currentCueIndex);
+    }
+    
+    /**
+     * Status of every sentence in this session: wrong if any answer was wrong
+     */
+    getSentenceStatuses() {
+        const statuses = this.vttCues.map(() => 'unanswered');
+        
+        this.results
+            .filter(result => !result.review && result.lessonId === this.currentLessonId)
+            .forEach(result => {
+                if (statuses[result.sentenceIndex] === undefined) return;
+                if (!result.correct) {
+                    statuses[result.sentenceIndex] = 'wrong';
+                } else if (statuses[result.sentenceIndex] === 'unanswered') {
+                    statuses[result.sentenceIndex] = 'correct';
+                }
+            });
+        
+        return statuses;
+    }
+    
+    /**
+     * Jump to a sentence from the transcript and play it
+     */
+    jumpToSentence(index) {
+        if (this.reviewSession) return;
+        
+        this.audioPlayer.goToSentence(index);
+        this.audioPlayer.playCurrentSentence();
+    }
+    
+    /**
+     * Start a new session for the current lesson
+     */
+    startNewSession() {
+        this.sessionStartedAt = Date.now();
+        this.saveLessonState({ sessionStartedAt: this.sessionStartedAt, cueIndex: 0, mode: this.currentMode });
+    }
+    
+    /**
+     * Store state for the current lesson
+     */
+    saveLessonState(update) {
+        if (!this.currentLessonId) return;
+        
+        this.progressStore.saveLessonState(this.currentLessonId, update).catch(error => {
+            console.error('Failed to save lesson state:', error);
+        });
+    }
+    
+    /**
+     * Change the active exercise mode
+     */
+    setMode(mode) {
+        if (mode === CONFIG.exam.mode) {
+            this.startExam();
+            return;
+        }
+        
+        const wasExam = this.stopExam();
+        
+        // Adaptive mode sets the speed per sentence; other modes use the learner's speed again
+        if (this.currentMode === CONFIG.adaptive.mode && mode !== CONFIG.adaptive.mode) {
+            this.applySpeedSettings(this.speedLevel);
+        } else if (mode === CONFIG.adaptive.mode) {
+            console.log('Adaptive mode, weakest first:', this.adaptiveEngine.getTypeAccuracies());
+        }
+        
+        if (mode === CONFIG.review.mode) {
+            this.startReview();
+            return;
+        }
+        
+        this.currentMode = mode;
+        this.currentQuestionIndex = 0;
+        this.syncModeSelect();
+        this.saveLessonState({ mode: mode });
+        
+        // Leaving review or exam mode returns to the current lesson
+        if (this.reviewSession || wasExam) {
+            this.endReview();
+            return;
+        }
+        
+        this.handleSentenceChange(this.currentCueIndex, this.vttCues[this.currentCueIndex]);
+    }
+    
+    /**
+     * Check if a mode is a question type or a session preset of several types
+     */
+    isExerciseMode(mode) {
+        return Object.values(CONFIG.exerciseModes).includes(mode) || this.sessionMixer.isPreset(mode) || mode === CONFIG.adaptive.mode;
+    }
+    
+    /**
+     * Apply the shortcut keys the learner changed
+     */
+    async loadShortcuts() {
+        try {
+            this.keyboard.setBindings(await this.progressStore.getSetting('shortcuts', {}));
+        } catch (error) {
+            console.error('Failed to load shortcuts:', error);
+        }
+    }
+    
+    /**
+     * Shortcut context of the current question: quiz, sequencing, text (typed answers) or player
+     */
+    getShortcutContext() {
+        const question = this.getCurrentQuestion();
+        if (!question || this.quizController.isAnswered) {
+            return 'player';
+        }
+        
+        switch (question.type) {
+            case CONFIG.exerciseModes.SEQUENCING:
+                return 'sequencing';
+            case CONFIG.exerciseModes.DICTATION:
+            case CONFIG.exerciseModes.CLOZE:
+                return 'text';
+            default:
+                return 'quiz';
+        }
+    }
+    
+    /**
+     * Feed all stored answers to the adaptive engine
+     */
+    async loadAdaptiveHistory() {
+        try {
+            this.adaptiveEngine.loadHistory(await this.progressStore.getAnswers());
+        } catch (error) {
+            console.error('Failed to load answer history:', error);
+        }
+    }
+    
+    /**
+     * Show the active mode in the mode dropdown
+     */
+    syncModeSelect() {
+        const modeSelect = DOMHelpers.getElementById('modeSelect');
+        if (modeSelect) {
+            if (this.examSession) {
+                modeSelect.value = CONFIG.exam.mode;
+            } else {
+                modeSelect.value = this.reviewSession && !this.reviewSession.isRetry ? CONFIG.review.mode : this.currentMode;
+            }
+        }
+    }
+    
+    /**
+     * Start a review session with the due items of all lessons
+     */
+    async startReview() {
+        this.audioPlayer.pause();
+        this.resetSession();
+        
+        let items = [];
+        try {
+            items = await this.progressStore.getDueReviewItems();
+        } catch (error) {
+            console.error('Failed to load review items:', error);
+        }
+        
+        this.reviewSession = {
+            items: items.slice(0, CONFIG.review.maxItemsPerSession),
+            index: 0,
+            cues: {}
+        };
+        this.syncModeSelect();
+        this.updateTranscript();
+        
+        if (this.reviewSession.items.length === 0) {
+            this.currentQuestions = [];
+            this.quizController.showMessage(CONFIG.messages.noReviews);
+            this.updateQuizNavigation();
+            return;
+        }
+        
+        await this.loadReviewItem(0);
+    }
+    
+    /**
+     * Load a review item: its lesson audio, its cue and its question
+     */
+    async loadReviewItem(index) {
+        const item = this.reviewSession.items[index];
+        this.reviewSession.index = index;
+        
+        try {
+            const lesson = await this.lessonLoader.getLesson(item.lessonId);
+            if (!lesson) {
+                throw new Error(`Lesson ${item.lessonId} not found`);
+            }
+            
+            if (!this.reviewSession.cues[item.lessonId]) {
+                this.reviewSession.cues[item.lessonId] = await this.loadCues(lesson.vttUrl);
+            }
+            
+            // Swap in the item's lesson audio and cues
+            if (this.audioPlayer.audio.src !== lesson.audioUrl) {
+                this.audioPlayer.loadAudio(lesson.audioUrl);
+            }
+            this.vttCues = this.reviewSession.cues[item.lessonId];
+            this.audioPlayer.setVTTCues(this.vttCues);
+            if (lesson.level !== this.speedLevel) {
+                await this.applySpeedSettings(lesson.level);
+            }
+            this.audioPlayer.goToSentence(item.sentenceIndex);
+            this.trackSentenceTime(item.lessonId, item.sentenceIndex);
+            
+            this.currentQuestions = [item.question];
+            this.currentQuestionIndex = 0;
+            this.quizController.loadQuestion(item.question);
+            this.updateQuizNavigation();
+            
+            // Replay the exact sentence the question belongs to
+            this.audioPlayer.playCurrentSentence();
+        } catch (error) {
+            console.error('Failed to load review item:', error);
+            this.nextReviewItem();
+        }
+    }
+    
+    /**
+     * Move to the next review item, or finish the review
+     */
+    nextReviewItem() {
+        if (this.reviewSession.index < this.reviewSession.items.length - 1) {
+            this.loadReviewItem(this.reviewSession.index + 1);
+        } else {
+            this.showResults();
+        }
+    }
+    
+    /**
+     * Leave review mode and reopen the current lesson
+     */
+    async endReview() {
+        this.reviewSession = null;
+        this.audioPlayer.pause();
+        this.resetSession();
+        this.syncModeSelect();
+        
+        try {
+            await this.loadLesson(this.currentLessonId);
+        } catch (error) {
+            this.quizController.showMessage(`Fehler beim Laden: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Run only the missed cue/question pairs of the last session again
+     */
+    async startRetry(items) {
+        // Reuse the cues already loaded for the finished session
+        const cues = this.reviewSession ? this.reviewSession.cues : { [this.currentLessonId]: this.vttCues };
+        
+        this.audioPlayer.pause();
+        this.resetSession();
+        
+        this.reviewSession = {
+            items: items,
+            index: 0,
+            cues: cues,
+            isRetry: true
+        };
+        this.syncModeSelect();
+        this.updateTranscript();
+        
+        await this.loadReviewItem(0);
+    }
+    
+    /**
+     * Start exam mode for the current lesson: choose section, plays and question order
+     */
+    async startExam() {
+        this.stopExam();
+        this.audioPlayer.pause();
+        this.hideHint();
+        this.resetSession();
+        
+        // Exams run on the current lesson, not on review items
+        if (this.reviewSession) {
+            this.reviewSession = null;
+            try {
+                await this.loadLesson(this.currentLessonId);
+            } catch (error) {
+                this.quizController.showMessage(`Fehler beim Laden: ${error.message}`);
+                return;
+            }
+        }
+        
+        this.examSession = { sections: this.getExamSections() };
+        this.syncModeSelect();
+        this.setExamLayout(true);
+        
+        if (this.examSession.sections.length === 0) {
+            this.examController.setPhase(CONFIG.modeNames[CONFIG.exam.mode]);
+            this.examController.showMessage(CONFIG.messages.noExamQuestions);
+            this.examController.show();
+            return;
+        }
+        this.examController.showSetup(this.examSession.sections);
+    }
+    
+    /**
+     * The whole lesson and, for longer lessons, parts of CONFIG.exam.sectionLength sentences
+     */
+    getExamSections() {
+        const ranges = [{ label: `Ganze Lektion (${this.vttCues.length} Sätze)`, start: 0, end: this.vttCues.length }];
+        if (this.vttCues.length > CONFIG.exam.sectionLength) {
+            for (let start = 0; start < this.vttCues.length; start += CONFIG.exam.sectionLength) {
+                const end = Math.min(start + CONFIG.exam.sectionLength, this.vttCues.length);
+                ranges.push({ label: `Satz ${start + 1}–${end}`, start, end });
+            }
+        }
+        
+        return ranges
+            .map(range => ({
+                ...range,
+                startTime: this.vttCues[range.start].start,
+                endTime: this.vttCues[range.end - 1].end,
+                items: this.examController.selectQuestions(this.vttCues, range.start, range.end)
+            }))
+            .filter(section => section.items.length > 0);
+    }
+    
+    /**
+     * Lock everything an exam does not allow (replaying, speed, hints, transcript), or unlock it
+     */
+    setExamLayout(active) {
+        this.audioPlayer.setLocked(active);
+        this.keyboard.setEnabled(!active);
+        ['hintBtn', 'loopBtn', 'transcriptBtn', 'lessonBtn'].forEach(id => {
+            const button = DOMHelpers.getElementById(id);
+            if (button) button.disabled = active;
+        });
+        
+        if (active) {
+            this.speedControl.hide();
+            this.transcriptPanel.hide();
+        } else {
+            this.examController.hide();
+        }
+        
+        const quizContainer = DOMHelpers.querySelector('.quiz-container');
+        if (quizContainer) {
+            DOMHelpers.toggleDisplay(quizContainer, !active);
+        }
+    }
+    
+    /**
+     * Run an exam: reading time, the plays with pauses in between, then answering time
+     */
+    runExam({ section, plays, questionsFirst }) {
+        Object.assign(this.examSession, { section, plays, questionsFirst, playCount: 0, startedAt: Date.now() });
+        const session = this.examSession;
+        
+        if (!questionsFirst) {
+            this.examController.showMessage('Hör gut zu. Die Aufgaben kommen nach dem Hören.');
+            this.playExamSection();
+            return;
+        }
+        
+        this.examController.setAnswerable(false);
+        this.examController.showQuestions(section.items);
+        this.examController.setPhase('Aufgaben lesen');
+        this.examController.startCountdown(section.items.length * CONFIG.exam.readingTimePerQuestion, () => {
+            if (this.examSession === session) this.playExamSection();
+        });
+    }
+    
+    /**
+     * Play the exam section once, straight through
+     */
+    playExamSection() {
+        const session = this.examSession;
+        session.playCount++;
+        
+        this.examController.setPhase(`Hören (${session.playCount}/${session.plays})`);
+        this.examController.startCountdown(Math.ceil(session.section.endTime - session.section.startTime));
+        if (session.questionsFirst) {
+            this.examController.setAnswerable(true);
+        }
+        
+        this.audioPlayer.playSection(session.section.startTime, session.section.endTime, () => {
+            if (this.examSession === session) this.handleExamPlayEnd();
+        });
+    }
+    
+    /**
+     * After a play: pause before the next one, or start the answering time
+     */
+    handleExamPlayEnd() {
+        const session = this.examSession;
+        
+        if (session.playCount < session.plays) {
+            this.examController.setPhase('Pause');
+            this.examController.startCountdown(CONFIG.exam.pauseBetweenPlays, () => {
+                if (this.examSession === session) this.playExamSection();
+            });
+            return;
+        }
+        
+        if (!session.questionsFirst) {
+            this.examController.showQuestions(session.section.items);
+        }
+        this.examController.setPhase('Antworten');
+        this.examController.setAnswerable(true, true);
+        this.examController.startCountdown(session.section.items.length * CONFIG.exam.answerTimePerQuestion, () => {
+            if (this.examSession === session) this.finishExam();
+        });
+    }
+    
+    /**
+     * End the exam: store the answers and show the score
+     */
+    finishExam() {
+        const session = this.examSession;
+        if (!session || session.finishedAt) return;
+        
+        session.finishedAt = Date.now();
+        this.audioPlayer.stopSection();
+        
+        const score = this.examController.getScore();
+        session.section.items.forEach((item, index) => {
+            const selected = this.examController.answers[index];
+            const correct = selected === item.question.correct;
+            const result = {
+                lessonId: this.currentLessonId,
+                sentenceIndex: item.sentenceIndex,
+                questionIndex: item.questionIndex,
+                questionType: item.question.type,
+                question: item.question,
+                selectedAnswer: selected,
+                correct: correct,
+                hintLevel: 0,
+                points: correct ? CONFIG.exam.pointsPerQuestion : 0,
+                exam: true,
+                speed: 1.0,
+                time: session.finishedAt
+            };
+            this.adaptiveEngine.record(result);
+            this.lmsReporter.reportAnswer(result, this.vttCues[item.sentenceIndex]);
+            this.progressStore.addAnswer(result).catch(error => {
+                console.error('Failed to save exam answer:', error);
+            });
+            this.updateReviewSchedule(result).catch(error => {
+                console.error('Failed to update review schedule:', error);
+            });
+        });
+        
+        this.examController.showScore(score);
+        this.lmsReporter.reportCompletion(this.currentLessonId, {
+            correct: score.correct,
+            total: score.total,
+            points: score.points,
+            accuracy: score.percent,
+            passed: score.passed,
+            byMode: { [CONFIG.exam.mode]: { correct: score.correct, total: score.total, points: score.points } }
+        });
+        this.embedBridge.send('examCompleted', {
+            lessonId: this.currentLessonId,
+            section: { start: session.section.start, end: session.section.end },
+            plays: session.plays,
+            score: score
+        });
+        console.log('Exam complete. Score:', score);
+    }
+    
+    /**
+     * Leave exam mode and unlock the player; returns whether an exam was open
+     */
+    stopExam() {
+        if (!this.examSession) return false;
+        
+        this.examSession = null;
+        this.audioPlayer.stopSection();
+        this.setExamLayout(false);
+        return true;
+    }
+    
+    /**
+     * Find a cue of the current lesson or of a lesson loaded for review
+     */
+    getCue(lessonId, sentenceIndex) {
+        const cues = this.reviewSession ? this.reviewSession.cues[lessonId] : this.vttCues;
+        return cues ? cues[sentenceIndex] || null : null;
+    }
+    
+    /**
+     * Position of a question in its cue's questions, the same in every mode, the exam and reviews
+     * (review items carry a stored copy, found by type and text). Null for questions built on the fly.
+     */
+    getQuestionIndex(cue, question) {
+        if (!cue || !question) return null;
+        
+        const index = (cue.questions || []).findIndex(candidate => candidate === question
+            || (candidate.type === question.type && candidate.question === question.question));
+        return index === -1 ? null : index;
+    }
+    
+    /**
+     * Replay a sentence from the results report
+     */
+    async replaySentence(lessonId, sentenceIndex) {
+        const cues = this.reviewSession ? this.reviewSession.cues[lessonId] : this.vttCues;
+        const lesson = await this.lessonLoader.getLesson(lessonId);
+        if (!cues || !lesson) return;
+        
+        if (this.audioPlayer.audio.src !== lesson.audioUrl) {
+            this.audioPlayer.loadAudio(lesson.audioUrl);
+        }
+        if (this.audioPlayer.vttCues !== cues) {
+            this.vttCues = cues;
+            this.audioPlayer.setVTTCues(cues);
+        }
+        this.audioPlayer.replaySentence(sentenceIndex);
+    }
+    
+    /**
+     * Download this session's results as a JSON or CSV file
+     */
+    exportResults(format) {
+        const getCue = (lessonId, sentenceIndex) => this.getCue(lessonId, sentenceIndex);
+        const content = format === 'csv'
+            ? this.resultsExporter.toCSV(this.results, getCue)
+            : this.resultsExporter.toJSON(this.results, getCue, this.sessionStartedAt);
+        const source = this.reviewSession ? CONFIG.review.mode : this.currentLessonId;
+        const date = new Date().toISOString().slice(0, 10);
+        const fileName = `${CONFIG.resultsExport.fileName}-${source}-${date}.${format}`;
+        
+        this.resultsExporter.download(content, fileName, format === 'csv' ? 'text/csv' : 'application/json');
+        this.setTransferStatus(`${fileName} heruntergeladen`);
+    }
+    
+    /**
+     * Merge an exported results file into the local progress store
+     */
+    async importResults(file) {
+        try {
+            const { answers, skipped } = this.resultsExporter.parse(await file.text());
+            const added = await this.progressStore.importAnswers(answers);
+            if (added > 0) {
+                await this.loadAdaptiveHistory();
+            }
+            
+            let message = `${added} von ${answers.length} Antworten importiert`;
+            if (skipped > 0) message += `, ${skipped} übersprungen`;
+            this.setTransferStatus(message);
+            console.log(`Imported ${added} answers from ${file.name} (${answers.length - added} already stored, ${skipped} skipped)`);
+        } catch (error) {
+            console.error('Failed to import results:', error);
+            this.setTransferStatus(`Import fehlgeschlagen: ${error.message}`, true);
+        }
+    }
+    
+    /**
+     * Show the outcome of an export or import next to its buttons
+     */
+    setTransferStatus(message, isError = false) {
+        const status = DOMHelpers.getElementById('transferStatus');
+        if (!status) return;
+        
+        DOMHelpers.setContent(status, message);
+        DOMHelpers.toggleClass(status, 'error', isError);
+    }
+    
+    /**
+     * Start timing a sentence (the previous one stops)
+     */
+    trackSentenceTime(lessonId, sentenceIndex) {
+        this.stopSentenceTimer();
+        this.sentenceTimer = { key: `${lessonId}:${sentenceIndex}`, since: Date.now() };
+    }
+    
+    /**
+     * Add the running sentence time to the session
+     */
+    stopSentenceTimer() {
+        if (!this.sentenceTimer) return;
+        
+        const { key, since } = this.sentenceTimer;
+        this.sentenceTimes[key] = (this.sentenceTimes[key] || 0) + Date.now() - since;
+        this.sentenceTimer = null;
+    }
+    
+    /**
+     * Schedule a missed question for review, or grade a due review item
+     */
+    async updateReviewSchedule(result) {
+        const itemId = this.reviewScheduler.getItemId(result.lessonId, result.sentenceIndex, result.question);
+        let item = await this.progressStore.getReviewItem(itemId);
+        
+        if (!item) {
+            if (result.correct) return;
+            item = this.reviewScheduler.createItem(result);
+        } else if (result.correct && item.dueAt > result.time) {
+            // Correct answers only count once the item is due
+            return;
         }
         
-        // Restart button
-        const restartBtn = DOMHelpers.getElementById('restartBtn');
-        if (restartBtn) {
-            DOMHelpers.addEventListener(restartBtn, 'click', () => this.restart());
+        item = this.reviewScheduler.grade(item, this.reviewScheduler.getQuality(result.correct), result.time);
+        await this.progressStore.saveReviewItem(item);
+    }
+    
+    /**
+     * Show the lesson browser
+     */
+    async openLessonBrowser() {
+        try {
+            const lessons = await this.lessonLoader.loadAllLessons();
+            const progress = await this.progressStore.getAllLessonStates();
+            this.lessonBrowser.show(lessons, progress, this.currentLessonId, await this.getOfflineState());
+        } catch (error) {
+            console.error('Failed to open lesson browser:', error);
         }
+    }
+    
+    /**
+     * Downloaded lessons, running downloads and storage usage (null without offline support)
+     */
+    async getOfflineState() {
+        if (!this.offlineStore.isSupported()) return null;
         
-        // Feedback is always enabled
-        this.feedbackEnabled = true;
+        return {
+            lessonIds: await this.offlineStore.getOfflineLessonIds(this.lessonLoader.allLessons),
+            downloading: this.offlineDownloads,
+            usage: await this.offlineStore.getStorageUsage()
+        };
     }
     
     /**
-     * Setup callbacks between modules
+     * Download a lesson's MP3 and VTT for offline use
      */
-    setupCallbacks() {
-        // Audio player callbacks
-        this.audioPlayer.setCallbacks({
-            onPlay: () => {
-                console.log('Audio playing');
-            },
-            onPause: () => {
-                console.log('Audio paused');
-            },
-            onSentenceChange: (index, cue) => {
-                this.handleSentenceChange(index, cue);
-            },
-            onNext: () => {
-            
-                // If question is answered, skip to next sentence
-                if (this.quizController.isAnswered) {
-                    return true; // Allow skip
-                }
-                return false; // Don't skip if not answered
-            },
-            onSentenceEnd: () => {
-                this.quizController.enableAnswers();
-            },
-            onAutoPlayToggle: (enabled) => {
-                this.autoPlayEnabled = enabled;
-                console.log('Auto-play:', enabled ? 'enabled' : 'disabled');
-            }
-        });
+    async downloadLesson(lessonId) {
+        const lesson = await this.lessonLoader.getLesson(lessonId);
+        if (!lesson) return;
         
-        // Quiz controller callbacks
-        this.quizController.setCallbacks({
-            onAnswer: (answer) => {
-                this.handleAnswer(answer);
-            },
-            onNext: () => {
-                this.nextSentence();
-            },
-            onPrevQuestion: () => {
-                this.previousQuestion();
-            },
-            onNextQuestion: () => {
-                this.nextQuestion();
-            }
-        });
+        this.offlineDownloads.add(lessonId);
+        this.lessonBrowser.setOffline(await this.getOfflineState());
         
-        // Keyboard shortcuts
-        this.keyboard.setHandlers({
-            onPlayPause: () => this.audioPlayer.togglePlayback(),
-            onPreviousSentence: () => this.previousSentence(),
-            onNextSentence: () => this.nextSentence(),
-            onRepeatSentence: () => this.audioPlayer.playCurrentSentence(),
-            onToggleSpeed: () => this.audioPlayer.toggleSpeed(),
-            onShowHint: () => this.showHint(),
-            onAnswer: (index) => this.quizController.selectAnswer(index),
-            onSubmit: () => this.quizController.submitAnswer()
-        });
+        try {
+            await this.offlineStore.downloadLesson(lesson);
+        } catch (error) {
+            console.error(`Failed to download ${lessonId}:`, error);
+            alert(`Download fehlgeschlagen: ${error.message}`);
+        } finally {
+            this.offlineDownloads.delete(lessonId);
+            this.lessonBrowser.setOffline(await this.getOfflineState());
+        }
     }
     
     /**
-     * Load a lesson
+     * Remove a lesson downloaded for offline use
      */
-    async loadLesson(lessonId) {
+    async removeDownload(lessonId) {
+        const lesson = await this.lessonLoader.getLesson(lessonId);
+        if (!lesson) return;
+        
         try {
-            console.log(`Loading lesson: ${lessonId}`);
-            
-            // Load lesson data
-            const lessons = await this.lessonLoader.loadAllLessons();
-            const lessonData = lessons[lessonId];
-            
-            if (!lessonData) {
-                throw new Error(`Lesson ${lessonId} not found`);
-            }
-            
-            this.currentLesson = lessonData;
-            
-            // Load VTT with questions
-            const cues = await this.lessonLoader.loadVTTFromUrl(lessonData.vttUrl);
-            this.vttCues = cues;
-            this.currentCueIndex = 0;
-            
-            // Setup audio
-            this.audioPlayer.loadAudio(lessonData.audioUrl);
-            this.audioPlayer.setVTTCues(cues);
-            
-            // Update UI
-            this.updateProgress();
-            this.handleSentenceChange(0, cues[0]);
-            
-            console.log(`Loaded ${cues.length} sentences`);
-            
+            await this.offlineStore.removeLesson(lesson);
         } catch (error) {
-            console.error('Failed to load lesson:', error);
-            throw error;
+            console.error(`Failed to remove ${lessonId}:`, error);
         }
+        this.lessonBrowser.setOffline(await this.getOfflineState());
     }
+    
     /**
-     
+     * Switch to another lesson without reloading the page
+     */
+    async switchLesson(lessonId) {
+        this.lessonBrowser.hide();
+        
+        if (lessonId === this.currentLessonId && !this.reviewSession && !this.examSession) {
+            return;
+        }
+        
+        this.stopExam();
+        this.reviewSession = null;
+        this.audioPlayer.pause();
+        this.resetSession();
+        this.syncModeSelect();
+        
+        try {
+            await this.loadLesson(lessonId);
+            
+            // Keep the URL shareable
+            const url = new URL(window.location.href);
+            url.searchParams.set('lesson', lessonId);
+            window.history.replaceState(null, '', url);
+        } catch (error) {
+            this.quizController.showMessage(`Fehler beim Laden: ${error.message}`);
+        }
+    }
+    
     /**
      * Handle sentence change
      */
     handleSentenceChange(index, cue) {
         this.currentCueIndex = index;
+        
+        // Review items load their own question (see loadReviewItem)
+        if (this.reviewSession) {
+            this.hideHint();
+            return;
+        }
+        
         this.updateProgress();
+        this.saveLessonState({ cueIndex: index });
+        this.transcriptPanel.setCurrent(index);
+        this.trackSentenceTime(this.currentLessonId, index);
         
         // Hide hint when changing sentences
         this.hideHint();
@@ -247,27 +1286,33 @@ export class ListeningApp {
         if (this.quizController.feedbackArea) {
             DOMHelpers.toggleClass(this.quizController.feedbackArea, 'show', false);
         }
+        
+        // The old question goes away: keyboard users continue at the player
+        this.returnFocusToPlayer();
 
         console.log('handleSentenceChange - cue:', cue);
         console.log('cue.questions:', cue ? cue.questions : 'no cue');
         console.log('Current mode:', this.currentMode);
 
+        // Adaptive mode slows down or speeds up for every sentence
+        if (this.currentMode === CONFIG.adaptive.mode) {
+            this.audioPlayer.setSpeed(this.adaptiveEngine.chooseSpeed());
+            this.speedControl.setValues(this.audioPlayer.currentSpeed, this.audioPlayer.autoRamp);
+        }
+        
         // Load questions for this sentence
-        if (cue && cue.questions && cue.questions.length > 0) {
-            console.log('Raw questions:', cue.questions);
-            const questions = this.filterQuestionsByMode(cue.questions);
-            console.log('Filtered questions:', questions);
+        const questions = this.getQuestionsForCue(cue);
+        console.log('Questions for mode:', questions);
 
-            if (questions.length > 0) {
-                this.currentQuestions = questions;
-                this.currentQuestionIndex = 0;
-                this.quizController.loadQuestion(questions[0]);
-                this.updateQuizNavigation();
-            } else {
-                this.currentQuestions = [];
-                this.quizController.showMessage(`Keine ${CONFIG.modeNames[this.currentMode]} Fragen für diesen Satz.`);
-                this.updateQuizNavigation();
-            }
+        if (questions.length > 0) {
+            this.currentQuestions = questions;
+            this.currentQuestionIndex = 0;
+            this.quizController.loadQuestion(questions[0]);
+            this.updateQuizNavigation();
+        } else if (cue && cue.questions && cue.questions.length > 0) {
+            this.currentQuestions = [];
+            this.quizController.showMessage(`Keine ${CONFIG.modeNames[this.currentMode]} Fragen für diesen Satz.`);
+            this.updateQuizNavigation();
         } else {
             this.currentQuestions = [];
             this.quizController.showMessage(CONFIG.messages.noQuestions);
@@ -276,13 +1321,75 @@ export class ListeningApp {
     }
     
     /**
-     * Filter questions by current mode
+     * Move the focus back to the play button if it was on the quiz (or lost after answering);
+     * a select keeps it, e.g. the cloze rule that reloads the question
+     */
+    returnFocusToPlayer() {
+        const active = document.activeElement;
+        const onQuiz = active && active !== document.body && active.closest('.quiz-container') && !active.matches('select');
+        const lostAfterAnswer = (!active || active === document.body) && this.quizController.isAnswered;
+        
+        if ((onQuiz || lostAfterAnswer) && this.audioPlayer.playBtn) {
+            this.audioPlayer.playBtn.focus();
+        }
+    }
+    
+    /**
+     * Get the questions for a cue in the current mode, including generated ones
+     */
+    getQuestionsForCue(cue) {
+        if (!cue) {
+            return [];
+        }
+        
+        const questions = this.filterQuestionsByMode(cue.questions, cue);
+        
+        // Dictation works on every sentence: the transcript is the answer
+        if (this.currentMode === CONFIG.exerciseModes.DICTATION) {
+            return questions.length > 0
+                ? questions.map(q => ({ answer: cue.text, ...q }))
+                : [this.createDictationQuestion(cue)];
+        }
+        
+        // Free-input gap-fill blanks words of the transcript by rule
+        if (this.currentMode === CONFIG.exerciseModes.CLOZE && questions.length === 0) {
+            return [this.clozeGenerator.createQuestion(cue, this.clozeRule, this.clozeEvery)];
+        }
+        
+        return questions;
+    }
+    
+    /**
+     * Create a dictation question from a cue
      */
-    filterQuestionsByMode(questions) {
+    createDictationQuestion(cue) {
+        return {
+            type: CONFIG.exerciseModes.DICTATION,
+            question: CONFIG.dictation.prompt,
+            answer: cue.text,
+            generated: true
+        };
+    }
+    
+    /**
+     * Filter questions by current mode (a single type, or the types of a session preset)
+     */
+    filterQuestionsByMode(questions, cue) {
         if (!questions || !Array.isArray(questions)) {
             return [];
         }
         
+        if (this.currentMode === CONFIG.adaptive.mode) {
+            const question = this.adaptiveEngine.chooseQuestion(questions);
+            return question ? [question] : [];
+        }
+        
+        if (this.sessionMixer.isPreset(this.currentMode)) {
+            // Seeded per session, so a restored session shows the same draw
+            const random = this.questionGenerator.createRandom(`${this.sessionStartedAt}:${cue ? cue.text : ''}`);
+            return this.sessionMixer.selectQuestions(questions, this.currentMode, random);
+        }
+        
         return questions.filter(q => q.type === this.currentMode);
     }
     
@@ -302,29 +1409,65 @@ export class ListeningApp {
                 correct: correct
             };
         }
+        
 
+        const reviewItem = this.reviewSession ? this.reviewSession.items[this.reviewSession.index] : null;
+        // Results count for the question's own type, also in mixed sessions
+        const questionType = reviewItem ? reviewItem.questionType : (answer.question && answer.question.type) || this.currentMode;
+        
+        // Hints used for this question reduce the points
+        const hintLevel = this.hintUsage.question === this.getCurrentQuestion() ? this.hintUsage.level : 0;
+        const points = this.hintBuilder.getPoints(answer.correct, hintLevel);
+        
         // Update score
-        this.sessionScore.total++;
-        if (answer.correct) {
-            this.sessionScore.correct++;
-        }
+        this.updateScore(answer.correct, questionType, points);
         
-        // Track by mode
-        if (!this.sessionScore.byMode[this.currentMode]) {
-            this.sessionScore.byMode[this.currentMode] = { correct: 0, total: 0 };
-        }
-        this.sessionScore.byMode[this.currentMode].total++;
+        // The speed the sentence was heard at, before a completed auto-tempo ramp resets it
+        const speed = this.audioPlayer.getEffectiveSpeed();
+        
+        // Auto-tempo stops speeding up once the sentence is understood
         if (answer.correct) {
-            this.sessionScore.byMode[this.currentMode].correct++;
+            this.audioPlayer.completeRamp();
         }
         
         // Record result
-        this.results.push({
+        const lessonId = reviewItem ? reviewItem.lessonId : this.currentLessonId;
+        const result = {
+            lessonId: lessonId,
             sentenceIndex: this.currentCueIndex,
+            questionIndex: this.getQuestionIndex(this.getCue(lessonId, this.currentCueIndex), answer.question),
+            questionType: questionType,
             question: answer.question,
             selectedAnswer: answer.selected,
             correct: answer.correct,
+            hintLevel: hintLevel,
+            points: points,
+            speed: speed,
             time: Date.now()
+        };
+        if (answer.score !== undefined) {
+            result.score = answer.score;
+        }
+        if (reviewItem) {
+            result.review = true;
+        }
+        this.results.push(result);
+        this.adaptiveEngine.record(result);
+        this.embedBridge.send('answerSubmitted', { result: result, score: this.getScoreSummary() });
+        this.lmsReporter.reportAnswer(result, this.getCue(result.lessonId, result.sentenceIndex));
+        
+        // Persist answer and progress
+        this.progressStore.addAnswer(result).catch(error => {
+            console.error('Failed to save answer:', error);
+        });
+        if (!reviewItem) {
+            this.saveLessonState({ answered: this.results.length });
+            this.transcriptPanel.setStatuses(this.getSentenceStatuses());
+        }
+        
+        // Schedule missed questions for spaced repetition
+        this.updateReviewSchedule(result).catch(error => {
+            console.error('Failed to update review schedule:', error);
         });
         
         // Hide feedback after delay
@@ -348,10 +1491,36 @@ export class ListeningApp {
         }, CONFIG.feedbackDelay);
     }
     
+    /**
+     * Update session score, overall and by mode
+     */
+    updateScore(correct, mode, points) {
+        this.sessionScore.total++;
+        this.sessionScore.points += points;
+        if (correct) {
+            this.sessionScore.correct++;
+        }
+        
+        // Track by mode
+        if (!this.sessionScore.byMode[mode]) {
+            this.sessionScore.byMode[mode] = { correct: 0, total: 0, points: 0 };
+        }
+        this.sessionScore.byMode[mode].total++;
+        this.sessionScore.byMode[mode].points += points;
+        if (correct) {
+            this.sessionScore.byMode[mode].correct++;
+        }
+    }
+    
     /**
      * Navigate to next sentence
      */
     nextSentence() {
+        if (this.reviewSession) {
+            this.nextReviewItem();
+            return;
+        }
+        
         if (this.currentCueIndex < this.vttCues.length - 1) {
             this.audioPlayer.goToNextSentence();
         } else {
@@ -363,6 +1532,12 @@ export class ListeningApp {
      * Navigate to next sentence with auto-play support
      */
     nextSentenceWithAutoPlay() {
+        // Review items always replay their sentence
+        if (this.reviewSession) {
+            this.nextReviewItem();
+            return;
+        }
+        
         if (this.currentCueIndex < this.vttCues.length - 1) {
             // Use the audio player's navigation method
             this.audioPlayer.goToNextSentence();
@@ -384,40 +1559,100 @@ export class ListeningApp {
      * Navigate to previous sentence
      */
     previousSentence() {
+        if (this.reviewSession) {
+            if (this.reviewSession.index > 0) {
+                this.loadReviewItem(this.reviewSession.index - 1);
+            }
+            return;
+        }
+        
         if (this.currentCueIndex > 0) {
             this.audioPlayer.goToPreviousSentence();
         }
     }
     
     /**
-     * Show transcript hint
+     * Show the next hint level for the current sentence
      */
     showHint() {
+        // No hints in an exam
+        if (this.examSession) return;
+        
         const hintDisplay = DOMHelpers.getElementById('hintDisplay');
         const hintContent = DOMHelpers.getElementById('hintContent');
+        const cue = this.vttCues[this.currentCueIndex];
         
-        if (hintDisplay && hintContent && this.vttCues[this.currentCueIndex]) {
-            const text = this.vttCues[this.currentCueIndex].text;
-            DOMHelpers.setContent(hintContent, text);
+        if (hintDisplay && hintContent && cue) {
+            // Every request goes one level deeper for the current question
+            const question = this.getCurrentQuestion();
+            if (this.hintUsage.question !== question) {
+                this.hintUsage = { question: question, level: 0 };
+            }
+            this.hintUsage.level = Math.min(this.hintUsage.level + 1, CONFIG.hints.levels);
+            
+            const hint = this.hintBuilder.build(cue, this.hintUsage.level, question);
+            this.renderHint(hintContent, hint, cue);
             
             // Use class instead of display property for smooth animation
             DOMHelpers.toggleClass(hintDisplay, 'show', true);
             
-            // Auto-hide
-            setTimeout(() => {
-                DOMHelpers.toggleClass(hintDisplay, 'show', false);
+            // Auto-hide, counted from the latest reveal
+            clearTimeout(this.hintTimer);
+            this.hintTimer = setTimeout(() => {
+                this.hideHint();
             }, CONFIG.hintAutoHideDelay);
         }
     }
-
+    
+    /**
+     * Render a hint: level, text and glosses
+     */
+    renderHint(container, hint, cue) {
+        container.innerHTML = '';
+        
+        const label = hint.level < CONFIG.hints.levels
+            ? `Hinweis ${hint.level}/${CONFIG.hints.levels} · ${hint.wordCount} Wörter · ? für mehr`
+            : `Hinweis ${hint.level}/${CONFIG.hints.levels}`;
+        container.appendChild(DOMHelpers.createElement('div', { className: 'hint-level' }, label));
+        
+        const text = DOMHelpers.createElement('div', { className: 'hint-text' });
+        if (hint.level === CONFIG.hints.levels) {
+            // Timed words are highlighted karaoke-style during playback
+            this.wordHighlighter.render(text, cue);
+        } else {
+            this.wordHighlighter.clear();
+            DOMHelpers.setContent(text, hint.text);
+        }
+        container.appendChild(text);
+        
+        if (hint.glosses.length > 0) {
+            const glosses = DOMHelpers.createElement('ul', { className: 'hint-glosses' });
+            hint.glosses.forEach(([word, translation]) => {
+                glosses.appendChild(DOMHelpers.createElement('li', {}, `${word} – ${translation}`));
+            });
+            container.appendChild(glosses);
+        }
+    }
+    
+    /**
+     * The question currently shown, or null
+     */
+    getCurrentQuestion() {
+        return this.currentQuestions[this.currentQuestionIndex] || null;
+    }
+    
     /**
      * Hide transcript hint
      */
     hideHint() {
+        clearTimeout(this.hintTimer);
+        this.hintTimer = null;
+        
         const hintDisplay = DOMHelpers.getElementById('hintDisplay');
         if (hintDisplay) {
             DOMHelpers.toggleClass(hintDisplay, 'show', false);
         }
+        this.wordHighlighter.clear();
     }
 
     /**
@@ -482,6 +1717,7 @@ export class ListeningApp {
             // Update display
             DOMHelpers.setContent(DOMHelpers.getElementById('correctCount'), this.sessionScore.correct);
             DOMHelpers.setContent(DOMHelpers.getElementById('wrongCount'), this.sessionScore.total - this.sessionScore.correct);
+            DOMHelpers.setContent(DOMHelpers.getElementById('pointsCount'), this.resultsReport.formatNumber(this.sessionScore.points));
             DOMHelpers.setContent(DOMHelpers.getElementById('accuracyPercent'), `${accuracy}%`);
             
             // Show stats
@@ -496,22 +1732,104 @@ export class ListeningApp {
             // Pause audio
             this.audioPlayer.pause();
             
+            // Accuracy per mode, missed questions and time per sentence
+            this.stopSentenceTimer();
+            this.resultsReport.render({
+                sessionScore: this.sessionScore,
+                results: this.results,
+                sentenceTimes: this.sentenceTimes,
+                getCue: (lessonId, sentenceIndex) => this.getCue(lessonId, sentenceIndex)
+            });
+            this.setTransferStatus('');
+            
+            this.embedBridge.send('lessonCompleted', {
+                lessonId: this.reviewSession ? null : this.currentLessonId,
+                review: Boolean(this.reviewSession),
+                score: this.getScoreSummary(),
+                results: this.results
+            });
+            
+            // Mark lesson as completed (review sessions span several lessons)
+            if (!this.reviewSession) {
+                this.lmsReporter.reportCompletion(this.currentLessonId, this.getScoreSummary());
+                this.saveLessonState({ completed: true, completedAt: Date.now(), accuracy: accuracy });
+            }
+            
             console.log('Session complete. Score:', this.sessionScore);
         }
     }
     
+    /**
+     * Anonymous id of this browser's learner, created on first use
+     */
+    async getLearnerId() {
+        try {
+            let learnerId = await this.progressStore.getSetting('learnerId');
+            if (!learnerId) {
+                // randomUUID needs a secure context (https or localhost)
+                learnerId = crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+                await this.progressStore.saveSetting('learnerId', learnerId);
+            }
+            return learnerId;
+        } catch (error) {
+            console.error('Failed to load learner id:', error);
+            return 'anonymous';
+        }
+    }
+    
+    /**
+     * Score of this session for the host page and the LMS
+     */
+    getScoreSummary() {
+        return {
+            correct: this.sessionScore.correct,
+            total: this.sessionScore.total,
+            points: this.sessionScore.points,
+            accuracy: this.sessionScore.total > 0 
+                ? Math.round((this.sessionScore.correct / this.sessionScore.total) * 100) 
+                : 0,
+            byMode: this.sessionScore.byMode
+        };
+    }
+    
     /**
      * Restart lesson
      */
     restart() {
+        if (this.reviewSession) {
+            if (this.reviewSession.isRetry) {
+                this.startRetry(this.reviewSession.items);
+            } else {
+                this.startReview();
+            }
+            return;
+        }
+        
+        this.audioPlayer.reset();
+        this.resetSession();
+        this.startNewSession();
+        
+        // Reload first question
+        this.handleSentenceChange(0, this.vttCues[0]);
+        this.transcriptPanel.setStatuses(this.getSentenceStatuses());
+        this.updateProgress();
+    }
+    
+    /**
+     * Reset scores and results, and show the quiz again
+     */
+    resetSession() {
         this.currentCueIndex = 0;
         this.results = [];
-        this.audioPlayer.reset();
+        this.hintUsage = { question: null, level: 0 };
+        this.sentenceTimes = {};
+        this.sentenceTimer = null;
         
         // Reset scores
         this.sessionScore = {
             correct: 0,
             total: 0,
+            points: 0,
             byMode: {}
         };
         
@@ -521,10 +1839,6 @@ export class ListeningApp {
         if (quizContainer) {
             DOMHelpers.toggleDisplay(quizContainer, true);
         }
-        
-        // Reload first question
-        this.handleSentenceChange(0, this.vttCues[0]);
-        this.updateProgress();
     }
     
     /**
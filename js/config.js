@@ -4,6 +4,7 @@
 export const CONFIG = {
     // External URLs
     lessonsUrl: 'https://raw.githubusercontent.com/smarterGerman/listening-tool/main/lessons/lessons.json',
+    audioBaseUrl: 'https://raw.githubusercontent.com/smarterGerman/listening-tool/main/audio/',
     
     // Timing constants
     autoResizeDelay: 50,
@@ -20,7 +21,24 @@ export const CONFIG = {
         INFERENCE: 'inference',
         CONTEXT: 'context',
         SEQUENCING: 'sequencing',
-        GAP_FILL: 'gapfill'
+        GAP_FILL: 'gapfill',
+        DICTATION: 'dictation',
+        CLOZE: 'cloze'
+    },
+    
+    // Session presets: several question types in one pass through a lesson
+    sessionPresets: {
+        all: {
+            modes: ['comprehension', 'verb', 'grammar', 'phonetic', 'inference', 'context', 'sequencing', 'gapfill']
+        },
+        'grammar-verb': {
+            modes: ['grammar', 'verb']
+        },
+        mixed: {
+            // Random draw per sentence; a type's weight is its share of the draw
+            weights: { comprehension: 3, inference: 2, context: 2, verb: 1, grammar: 1, phonetic: 1, sequencing: 1, gapfill: 1 },
+            questionsPerSentence: 2
+        }
     },
     
     // Mode display names
@@ -32,7 +50,15 @@ export const CONFIG = {
         inference: 'Inferenz & Implikatur',
         context: 'Kontext erschließen',
         sequencing: 'Sequenzierung',
-        gapfill: 'Lückentext-Hören'
+        gapfill: 'Lückentext-Hören',
+        dictation: 'Diktat',
+        cloze: 'Lückentext (frei)',
+        all: 'Alle Fragetypen',
+        'grammar-verb': 'Grammatik + Verb',
+        mixed: 'Zufallsmix',
+        adaptive: 'Adaptiv',
+        review: 'Wiederholung',
+        exam: 'Prüfung'
     },
     
     // Mode abbreviations for button display
@@ -44,34 +70,193 @@ export const CONFIG = {
         inference: 'F',  // F for Folgerung (Inference)
         context: 'K',
         sequencing: 'S',
-        gapfill: 'L'
+        gapfill: 'L',
+        dictation: 'D',
+        cloze: 'C',
+        review: 'W'
     },
     
+    // Lesson levels, in catalog order (derived from the lesson id prefix)
+    lessonLevels: ['A1', 'A2', 'B1', 'B2', 'RLB'],
+    lessonIdPattern: /^(A1|A2|B1|B2|RLB)L?\d+$/,
+    
     // UI constants
     defaultMode: 'comprehension',
     defaultLesson: 'A1L01',
     
     // Speed settings
-    speeds: [1.0, 0.75, 0.5],
-    speedLabels: ['100', '75', '50'],
-    speedClasses: ['speed-100', 'speed-75', 'speed-50'],
+    speeds: [1.0, 0.75, 0.5], // Presets cycled by the speed shortcut
+    speedRange: { min: 0.4, max: 1.5, step: 0.05 },
+    defaultSpeed: 1.0,
+    preservePitch: true,
+    autoRamp: { start: 0.6, step: 0.1 }, // Auto-tempo: first play speed, increase per replay
+    
+    // localStorage keys
+    storageKeys: {
+        progress: 'listeningTool.progress'
+    },
+    
+    // Progress database (IndexedDB); bump the version when adding stores
+    progressDb: {
+        name: 'listeningTool',
+        version: 3,
+        stores: {
+            answers: { key: { keyPath: 'id', autoIncrement: true }, indexes: ['lessonId'] },
+            lessons: { key: { keyPath: 'lessonId' } },
+            reviews: { key: { keyPath: 'id' }, indexes: ['dueAt'] },
+            settings: { key: { keyPath: 'key' } }
+        }
+    },
+    
+    // Dictation (typed answers, generated from the transcript)
+    dictation: {
+        prompt: 'Schreib den Satz, den du hörst.',
+        passThreshold: 0.9
+    },
+    
+    // Free-input gap-fill (generated from the transcript)
+    cloze: {
+        prompt: 'Ergänze die Lücken.',
+        noGaps: 'Keine Lücken für diese Regel in diesem Satz.',
+        defaultRule: 'nth',
+        every: 4, // Default n of the "every nth word" rule, one of everyChoices
+        everyChoices: [2, 3, 4, 5, 6],
+        passThreshold: 1.0,
+        ruleNames: {
+            nth: 'Jedes n. Wort', // The rule selector lists one entry per n
+            verbs: 'Verben',
+            articles: 'Artikel',
+            tagged: 'Markierte Wörter'
+        }
+    },
+    
+    // Rule-based questions for cues without authored questions
+    questionGenerator: {
+        types: ['sequencing', 'gapfill', 'phonetic'],
+        maxSegments: 5
+    },
+    
+    // Cue timing editor (waveform)
+    timingEditor: {
+        pixelsPerSecond: 100,
+        maxCanvasWidth: 30000, // Browsers refuse larger canvases
+        height: 120,
+        handleTolerance: 6, // Pixels
+        minCueLength: 0.1 // Seconds
+    },
+    
+    // Progressive hints (level 1: word shapes, 2: keywords, 3: full text with glosses)
+    hints: {
+        levels: 3,
+        minKeywordLength: 4,
+        pointPenalties: [0, 0.25, 0.5, 0.75] // Points lost per hint level used
+    },
+    
+    // A-B loop
+    abLoop: {
+        repeats: [1, 2, 3, 5, 10, 0], // 0 = until stopped
+        defaultRepeat: 3,
+        gaps: [0, 0.5, 1, 2], // Seconds between repetitions
+        defaultGap: 0.5,
+        minLength: 0.3 // Seconds
+    },
+    
+    // Spaced repetition (SM-2)
+    review: {
+        mode: 'review',
+        initialEaseFactor: 2.5,
+        minEaseFactor: 1.3,
+        correctQuality: 4,
+        incorrectQuality: 1,
+        maxItemsPerSession: 20
+    },
+    
+    // Results export and import (JSON and CSV files)
+    resultsExport: {
+        format: 'listening-tool-results',
+        version: 1,
+        fileName: 'ergebnisse'
+    },
+    
+    // Embed mode (iframe): postMessage events and host commands
+    embed: {
+        source: 'listening-tool', // Tags every message sent to the host
+        allowedOrigins: [] // Origins of the course platforms the tool talks to; empty means no messages at all
+    },
+    
+    // Offline use (cache names must match sw.js)
+    offline: {
+        serviceWorkerUrl: 'sw.js',
+        lessonCache: 'listening-tool-lessons'
+    },
+    
+    // LMS reporting: SCORM 1.2 runtime in a parent frame, or xAPI statements to an LRS
+    lms: {
+        masteryScore: 80, // Accuracy (%) for "passed"
+        activityBase: 'https://github.com/smarterGerman/listening-tool/lessons',
+        extensionBase: 'https://github.com/smarterGerman/listening-tool/xapi',
+        xapi: {
+            endpoint: null, // e.g. 'http://localhost:8085/xapi/'; the launch URL's ?endpoint= wins
+            auth: null, // Authorization header, e.g. 'Basic ...'
+            version: '1.0.3'
+        }
+    },
+    
+    // Adaptive mode: question type and speed per sentence from the learner's answers in all lessons
+    adaptive: {
+        mode: 'adaptive',
+        types: ['comprehension', 'verb', 'grammar', 'phonetic', 'inference', 'context', 'sequencing', 'gapfill'],
+        halfLife: 30, // An answer counts half after this many newer answers
+        priorAccuracy: 0.7, // Assumed accuracy of a type or speed with few answers
+        priorWeight: 3, // Number of answers the assumption is worth
+        recentWindow: 5, // Answers checked for easing off
+        easeOffThreshold: 60 // Percent; below this the easiest type and a slower speed are chosen
+    },
+    
+    // Exam simulation (Goethe/telc style listening section)
+    exam: {
+        mode: 'exam',
+        plays: [1, 2], // How often the section is heard
+        defaultPlays: 2,
+        sectionLength: 10, // Sentences per exam part of longer lessons
+        questionTypes: ['comprehension', 'inference', 'context'], // One question per sentence, first type found
+        readingTimePerQuestion: 10, // Seconds to read the questions before listening
+        answerTimePerQuestion: 15, // Seconds to answer after listening
+        pauseBetweenPlays: 10, // Seconds
+        pointsPerQuestion: 1,
+        passThreshold: 60 // Percent of the points
+    },
     
     // Answer feedback
     feedbackDelay: 2000, // Time to show feedback before moving on
     
-    // Keyboard shortcuts
+    // Keyboard shortcuts: defaults per action, rebindable in the shortcut overlay.
+    // Player shortcuts work everywhere; quiz and sequencing ones only while such a question is shown.
     shortcuts: {
-        playPause: ['shift+ctrl+enter', 'shift+meta+enter'],
-        previousSentence: ['shift+ctrl+arrowleft', 'shift+meta+arrowleft'],
-        nextSentence: ['shift+ctrl+arrowright', 'shift+meta+arrowright'],
-        repeatSentence: ['shift+ctrl+arrowup', 'shift+meta+arrowup'],
-        toggleSpeed: ['shift+ctrl+arrowdown', 'shift+meta+arrowdown'],
-        showHint: ['shift+ctrl+/', 'shift+meta+/', 'shift+ctrl+ß', 'shift+meta+ß'],
-        answer1: ['1', 'a'],
-        answer2: ['2', 'b'],
-        answer3: ['3', 'c'],
-        answer4: ['4', 'd'],
-        submitAnswer: ['enter']
+        playPause: { context: 'player', label: 'Abspielen / Pause', keys: ['shift+ctrl+enter', 'shift+meta+enter'] },
+        previousSentence: { context: 'player', label: 'Vorheriger Satz', keys: ['shift+ctrl+arrowleft', 'shift+meta+arrowleft'] },
+        nextSentence: { context: 'player', label: 'Nächster Satz', keys: ['shift+ctrl+arrowright', 'shift+meta+arrowright'] },
+        repeatSentence: { context: 'player', label: 'Satz wiederholen', keys: ['shift+ctrl+arrowup', 'shift+meta+arrowup'] },
+        toggleSpeed: { context: 'player', label: 'Tempo wechseln', keys: ['shift+ctrl+arrowdown', 'shift+meta+arrowdown'] },
+        markLoop: { context: 'player', label: 'A-B-Schleife setzen', keys: ['shift+ctrl+l', 'shift+meta+l'] },
+        clearLoop: { context: 'player', label: 'A-B-Schleife löschen', keys: ['shift+ctrl+backspace', 'shift+meta+backspace'] },
+        showHint: { context: 'player', label: 'Hinweis', keys: ['shift+ctrl+/', 'shift+meta+/', 'shift+ctrl+ß', 'shift+meta+ß'] },
+        showHelp: { context: 'player', label: 'Tastenkürzel anzeigen', keys: ['?', 'shift+?'] },
+        showTranslations: { context: 'player', label: 'Übersetzungen anzeigen', keys: ['t'] },
+        answer1: { context: 'quiz', label: 'Antwort A', keys: ['1', 'a'] },
+        answer2: { context: 'quiz', label: 'Antwort B', keys: ['2', 'b'] },
+        answer3: { context: 'quiz', label: 'Antwort C', keys: ['3', 'c'] },
+        answer4: { context: 'quiz', label: 'Antwort D', keys: ['4', 'd'] },
+        submitAnswer: { context: 'quiz', label: 'Antwort abgeben', keys: ['enter'] },
+        checkOrder: { context: 'sequencing', label: 'Reihenfolge prüfen', keys: ['enter'] }
+    },
+    
+    // Shortcut contexts, in the order of the shortcut overlay
+    shortcutContexts: {
+        player: 'Wiedergabe (überall)',
+        quiz: 'Auswahlfragen',
+        sequencing: 'Satzbau',
+        text: 'Texteingabe (Diktat, Lückentext): nur Kürzel mit Strg, ⌘ oder Alt'
     },
     
     // Messages
@@ -82,6 +267,8 @@ export const CONFIG = {
         tryAgain: 'Please try again.',
         loading: 'Loading lesson...',
         error: 'An error occurred.',
-        noQuestions: 'No questions available for this sentence.'
+        noQuestions: 'No questions available for this sentence.',
+        noReviews: 'Keine fälligen Wiederholungen. Gut gemacht!',
+        noExamQuestions: 'Diese Lektion hat keine Auswahlfragen für eine Prüfung.'
     }
 };
\ No newline at end of file
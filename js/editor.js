@@ -0,0 +1,234 @@
+/**
+ * Lesson authoring page: edit cue texts, timing and questions, download the VTT
+ */
+import { LessonLoader } from './modules/lesson-loader.js';
+import { LessonEditor } from './modules/lesson-editor.js';
+import { WaveformEditor } from './modules/waveform-editor.js';
+import { VTTWriter } from './modules/vtt-writer.js';
+import { VTTValidator } from './modules/vtt-validator.js';
+import { DOMHelpers } from './utils/dom-helpers.js';
+
+export class EditorApp {
+    constructor() {
+        this.lessonLoader = new LessonLoader();
+        this.editor = new LessonEditor();
+        this.waveform = new WaveformEditor();
+        this.writer = new VTTWriter();
+        this.validator = new VTTValidator();
+
+        // State
+        this.lessonId = null;
+        this.audio = new Audio();
+        this.stopAt = null;
+
+        // DOM elements
+        this.lessonSelect = null;
+        this.downloadButton = null;
+        this.status = null;
+    }
+
+    /**
+     * Initialize the editor page
+     */
+    async initialize() {
+        this.lessonSelect = DOMHelpers.getElementById('editorLessonSelect', true);
+        this.downloadButton = DOMHelpers.getElementById('editorDownloadBtn', true);
+        this.status = DOMHelpers.getElementById('editorStatus', true);
+
+        this.editor.initialize(DOMHelpers.getElementById('editorCues', true));
+        this.editor.onChange = () => this.setStatus('Ungespeicherte Änderungen');
+        this.editor.onPlayCue = (cue, cueIndex) => {
+            this.waveform.selectCue(cueIndex);
+            this.playCue(cue);
+        };
+
+        this.waveform.initialize(DOMHelpers.getElementById('waveformEditor', true));
+        this.waveform.onCueChange = (cueIndex) => this.editor.refreshCueTiming(cueIndex);
+        this.waveform.onSelect = (cueIndex) => this.editor.highlightCue(cueIndex);
+        this.waveform.onAudition = (cue) => this.playCue(cue);
+
+        this.setupEventListeners();
+
+        try {
+            const lessons = await this.lessonLoader.loadAllLessons();
+            Object.values(lessons).forEach(lesson => {
+                this.lessonSelect.appendChild(DOMHelpers.createElement('option', { value: lesson.id }, lesson.title || lesson.id));
+            });
+
+            const requested = new URLSearchParams(window.location.search).get('lesson');
+            await this.loadLesson(requested || Object.keys(lessons)[0]);
+        } catch (error) {
+            console.error('Failed to initialize editor:', error);
+            this.setStatus(`Fehler: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        DOMHelpers.addEventListener(this.lessonSelect, 'change', async (e) => {
+            if (this.editor.isDirty && !window.confirm('Ungespeicherte Änderungen verwerfen?')) {
+                this.lessonSelect.value = this.lessonId;
+                return;
+            }
+            await this.loadLesson(e.target.value);
+        });
+
+        DOMHelpers.addEventListener(this.downloadButton, 'click', () => this.download());
+
+        // Stop cue playback at the end of the sentence
+        DOMHelpers.addEventListener(this.audio, 'timeupdate', () => {
+            this.waveform.setPlayhead(this.audio.currentTime);
+            if (this.stopAt !== null && this.audio.currentTime >= this.stopAt) {
+                this.audio.pause();
+                this.stopAt = null;
+            }
+        });
+
+        DOMHelpers.addEventListener(window, 'beforeunload', (e) => {
+            if (this.editor.isDirty) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+    }
+
+    /**
+     * Load a lesson into the editor (authored questions only)
+     */
+    async loadLesson(lessonId) {
+        try {
+            const lesson = await this.lessonLoader.getLesson(lessonId);
+            if (!lesson) {
+                throw new Error(`Lesson ${lessonId} not found`);
+            }
+
+            const cues = await this.lessonLoader.loadVTTFromUrl(lesson.vttUrl);
+            this.lessonId = lessonId;
+            this.lessonSelect.value = lessonId;
+            this.audio.src = lesson.audioUrl;
+            this.editor.load(lessonId, cues);
+            this.waveform.setCues(this.editor.getCues());
+            this.waveform.loadAudio(lesson.audioUrl);
+
+            const url = new URL(window.location.href);
+            url.searchParams.set('lesson', lessonId);
+            window.history.replaceState(null, '', url);
+
+            const questionCount = cues.reduce((sum, cue) => sum + cue.questions.length, 0);
+            this.setStatus(`${cues.length} Sätze, ${questionCount} Fragen`);
+        } catch (error) {
+            console.error('Failed to load lesson:', error);
+            this.setStatus(`Fehler: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Play a single cue
+     */
+    playCue(cue) {
+        this.audio.currentTime = cue.start;
+        this.stopAt = cue.end;
+        this.audio.play().catch(error => console.warn('Playback failed:', error));
+    }
+
+    /**
+     * Serialize the lesson, validate it and check that it parses back identically, then download it
+     */
+    download() {
+        const cues = this.editor.getCues();
+        const vttText = this.writer.serialize(cues);
+        const validation = this.validator.validate(vttText);
+        const problems = [
+            ...validation.errors.map(diagnostic => `Zeile ${diagnostic.line}: ${diagnostic.message}`),
+            ...this.checkRoundTrip(cues, vttText)
+        ];
+
+        if (problems.length > 0) {
+            console.error('VTT check failed:', problems);
+            this.setStatus(`Nicht gespeichert: ${problems[0]}`, true);
+            return;
+        }
+
+        const url = URL.createObjectURL(new Blob([vttText], { type: 'text/vtt' }));
+        const link = DOMHelpers.createElement('a', {
+            href: url,
+            download: `${this.lessonId}.vtt`
+        });
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Revoked on the next task, since an immediate revoke can abort the download
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        this.editor.isDirty = false;
+        this.setStatus(`${this.lessonId}.vtt heruntergeladen`);
+    }
+
+    /**
+     * Parse the serialized VTT again and list every cue that does not come back unchanged
+     */
+    checkRoundTrip(cues, vttText) {
+        const parsed = this.lessonLoader.parseVTTWithQuestions(vttText);
+        const problems = [];
+
+        if (parsed.length !== cues.length) {
+            problems.push(`${cues.length} Sätze geschrieben, ${parsed.length} gelesen`);
+            return problems;
+        }
+
+        cues.forEach((cue, index) => {
+            const expectedText = cue.text.replace(/\s+/g, ' ').trim();
+            const expectedQuestions = this.toComparable(cue.questions);
+            const actualQuestions = this.toComparable(parsed[index].questions);
+
+            if (parsed[index].text !== expectedText) {
+                problems.push(`Satz ${index + 1}: Text weicht ab`);
+            }
+            if (actualQuestions !== expectedQuestions) {
+                problems.push(`Satz ${index + 1}: Fragen weichen ab`);
+            }
+        });
+
+        return problems;
+    }
+
+    /**
+     * JSON of the questions with sorted keys, where empty fields ('', {}, undefined) count as missing
+     */
+    toComparable(questions) {
+        const normalize = (value) => {
+            if (Array.isArray(value)) return value.map(normalize);
+            if (!value || typeof value !== 'object') return value;
+
+            const result = {};
+            Object.keys(value).sort().forEach(key => {
+                const item = value[key];
+                const isEmpty = item === undefined || item === '' ||
+                    (item && typeof item === 'object' && !Array.isArray(item) && Object.keys(item).length === 0);
+                if (!isEmpty) result[key] = normalize(item);
+            });
+            return result;
+        };
+
+        return JSON.stringify(normalize(questions || []));
+    }
+
+    /**
+     * Show a status message
+     */
+    setStatus(message, isError = false) {
+        DOMHelpers.setContent(this.status, message);
+        DOMHelpers.toggleClass(this.status, 'error', isError);
+    }
+}
+
+// Initialize editor when DOM is ready
+window.addEventListener('DOMContentLoaded', async () => {
+    const editorApp = new EditorApp();
+    await editorApp.initialize();
+
+    // Make editor available for debugging
+    window.lessonEditor = editorApp;
+});
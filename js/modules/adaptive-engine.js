@@ -0,0 +1,121 @@
+/**
+ * Adaptive mode: picks the question type and speed for each sentence from the learner's long-term answers
+ */
+import { CONFIG } from '../config.js';
+
+export class AdaptiveEngine {
+    constructor() {
+        // State: decayed counts per question type and per speed, last answers for easing off
+        this.typeStats = {};
+        this.speedStats = {};
+        this.recent = [];
+    }
+
+    /**
+     * Rebuild the statistics from all stored answers (oldest first)
+     */
+    loadHistory(answers) {
+        this.typeStats = {};
+        this.speedStats = {};
+        this.recent = [];
+        answers.forEach(answer => this.record(answer));
+    }
+
+    /**
+     * Add an answer; older answers lose weight with every new one (CONFIG.adaptive.halfLife)
+     */
+    record(result) {
+        if (!CONFIG.adaptive.types.includes(result.questionType)) return;
+
+        const score = result.correct ? 1 : 0;
+        this.addToStats(this.typeStats, result.questionType, score);
+        if (typeof result.speed === 'number') {
+            this.addToStats(this.speedStats, this.getSpeedBucket(result.speed), score);
+        }
+
+        this.recent.push(score);
+        if (this.recent.length > CONFIG.adaptive.recentWindow) {
+            this.recent.shift();
+        }
+    }
+
+    /**
+     * Decay the counts of a key and add one answer
+     */
+    addToStats(stats, key, score) {
+        const decay = Math.pow(0.5, 1 / CONFIG.adaptive.halfLife);
+        const entry = stats[key] || { weight: 0, correct: 0 };
+        stats[key] = {
+            weight: entry.weight * decay + 1,
+            correct: entry.correct * decay + score
+        };
+    }
+
+    /**
+     * Preset speed closest to a playback speed
+     */
+    getSpeedBucket(speed) {
+        return CONFIG.speeds.reduce((closest, preset) => (
+            Math.abs(preset - speed) < Math.abs(closest - speed) ? preset : closest
+        ));
+    }
+
+    /**
+     * Estimated accuracy (0-1), pulled towards CONFIG.adaptive.priorAccuracy while there are few answers
+     */
+    getAccuracy(stats, key) {
+        const { priorAccuracy, priorWeight } = CONFIG.adaptive;
+        const entry = stats[key] || { weight: 0, correct: 0 };
+        return (entry.correct + priorAccuracy * priorWeight) / (entry.weight + priorWeight);
+    }
+
+    /**
+     * Check if the last answers went so badly that the engine should ease off
+     */
+    isEasingOff() {
+        if (this.recent.length < CONFIG.adaptive.recentWindow) return false;
+
+        const accuracy = this.recent.reduce((sum, score) => sum + score, 0) / this.recent.length;
+        return accuracy * 100 < CONFIG.adaptive.easeOffThreshold;
+    }
+
+    /**
+     * The question of the type the learner is weakest at, or of the strongest type while easing off
+     */
+    chooseQuestion(questions) {
+        const candidates = (questions || []).filter(question => CONFIG.adaptive.types.includes(question.type));
+        if (candidates.length === 0) return null;
+
+        const direction = this.isEasingOff() ? -1 : 1;
+        const ranked = candidates
+            .map((question, index) => ({ question, index, accuracy: this.getAccuracy(this.typeStats, question.type) }))
+            .sort((a, b) => direction * (a.accuracy - b.accuracy) || a.index - b.index);
+
+        return ranked[0].question;
+    }
+
+    /**
+     * The fastest preset speed the learner still copes with, one step slower while easing off
+     */
+    chooseSpeed() {
+        const speeds = [...CONFIG.speeds].sort((a, b) => b - a);
+        let index = speeds.findIndex(speed => this.getAccuracy(this.speedStats, speed) * 100 >= CONFIG.adaptive.easeOffThreshold);
+        if (index === -1) {
+            index = speeds.length - 1;
+        }
+
+        if (this.isEasingOff()) {
+            index = Math.min(index + 1, speeds.length - 1);
+        }
+        return speeds[index];
+    }
+
+    /**
+     * Estimated accuracy per question type in percent, weakest first
+     */
+    getTypeAccuracies() {
+        return CONFIG.adaptive.types
+            .map(type => ({ type, accuracy: Math.round(this.getAccuracy(this.typeStats, type) * 100) }))
+            .sort((a, b) => a.accuracy - b.accuracy);
+    }
+}
@@ -0,0 +1,39 @@
+/**
+ * Chosen and correct answers as readable text, shared by the results report and the export
+ */
+import { CONFIG } from '../config.js';
+import { TextHelpers } from '../utils/text-helpers.js';
+
+export class AnswerFormatter {
+    /**
+     * Chosen and correct answer as text, for every question type
+     */
+    format(question, selected, cue) {
+        const options = question.options || [];
+
+        switch (question.type) {
+            case CONFIG.exerciseModes.SEQUENCING: {
+                const parts = (options[question.correct] || '').split(' - ');
+                return {
+                    chosen: Array.isArray(selected) ? selected.map(id => parts[id] ?? '—').join(' - ') : '—',
+                    correct: options[question.correct] || '—'
+                };
+            }
+            case CONFIG.exerciseModes.DICTATION:
+                return {
+                    chosen: selected || '—',
+                    correct: question.answer || (cue ? cue.text : '—')
+                };
+            case CONFIG.exerciseModes.CLOZE:
+                return {
+                    chosen: Array.isArray(selected) ? selected.map(word => word || '—').join(', ') : '—',
+                    correct: (question.gaps || []).map(index => TextHelpers.stripPunctuation(question.words[index])).join(', ')
+                };
+            default:
+                return {
+                    chosen: options[selected] ?? '—',
+                    correct: options[question.correct] ?? '—'
+                };
+        }
+    }
+}
@@ -4,6 +4,14 @@
 import { CONFIG } from '../config.js';
 import { DOMHelpers } from '../utils/dom-helpers.js';
 
+// Speed button colours, fastest band first
+const SPEED_CLASSES = [
+    { minSpeed: 1.05, className: 'speed-fast' },
+    { minSpeed: 1.0, className: 'speed-100' },
+    { minSpeed: 0.7, className: 'speed-75' },
+    { minSpeed: 0, className: 'speed-50' }
+];
+
 export class AudioPlayer {
     constructor(audioElement) {
         this.audio = audioElement;
@@ -11,6 +19,13 @@ export class AudioPlayer {
         this.currentCueIndex = 0;
         this.isPlaying = false;
         this.currentSpeed = 1.0;
+        this.autoRamp = false;
+        this.ramp = { cueIndex: null, plays: 0, done: false };
+        this.loop = null;
+        this.loopOptions = { repeat: CONFIG.abLoop.defaultRepeat, gap: CONFIG.abLoop.defaultGap };
+        this.loopTimer = null;
+        this.section = null;
+        this.isLocked = false;
         
         // DOM elements
         this.playBtn = null;
@@ -25,6 +40,8 @@ export class AudioPlayer {
         this.onSentenceChange = null;
         this.onSentenceEnd = null;
         this.onAutoPlayToggle = null;
+        this.onSpeedChange = null;
+        this.onLoopChange = null;
         
         this.initializeAudioEvents();
     }
@@ -180,7 +197,7 @@ export class AudioPlayer {
         // DOMHelpers.addEventListener(this.playBtn, 'click', () => this.togglePlayback());
         DOMHelpers.addEventListener(this.prevBtn, 'click', () => this.goToPreviousSentence());
         DOMHelpers.addEventListener(this.nextBtn, 'click', () => this.goToNextSentence());
-        DOMHelpers.addEventListener(this.speedBtn, 'click', () => this.toggleSpeed());
+        // The speed button opens the speed panel (SpeedControl)
     }
     
     /**
@@ -199,15 +216,24 @@ export class AudioPlayer {
             this.isPlaying = false;
             this.updatePlayButton();
             if (this.onPause) this.onPause();
+            
+            // A section cannot be resumed (the controls are locked), so any pause ends its play:
+            // host page command, media keys or an interruption on mobile
+            if (this.section) this.finishSection();
         });
         
         DOMHelpers.addEventListener(this.audio, 'timeupdate', () => {
             this.handleTimeUpdate();
         });
         
+        // A section may run to the end of the file
+        DOMHelpers.addEventListener(this.audio, 'ended', () => {
+            if (this.section) this.finishSection();
+        });
+        
         DOMHelpers.addEventListener(this.audio, 'loadedmetadata', () => {
             this.updatePlayButton();
-            this.audio.playbackRate = this.currentSpeed;
+            this.applyPlaybackRate(this.getEffectiveSpeed());
             this.updateProgress();
         });
     }
@@ -226,6 +252,8 @@ export class AudioPlayer {
     setVTTCues(cues) {
         this.vttCues = cues || [];
         this.currentCueIndex = 0;
+        this.ramp = { cueIndex: null, plays: 0, done: false };
+        this.clearLoop();
         this.updateNavigationButtons();
     }
     
@@ -233,7 +261,14 @@ export class AudioPlayer {
      * Toggle playback
      */
     togglePlayback() {
-        if (!this.audio) return;
+        if (!this.audio || this.isLocked) return;
+        
+        // Pausing between two loop repetitions
+        if (this.loopTimer) {
+            clearTimeout(this.loopTimer);
+            this.loopTimer = null;
+            return;
+        }
         
         if (this.audio.paused) {
             this.playCurrentSentence();
@@ -246,8 +281,19 @@ export class AudioPlayer {
      * Play current sentence
      */
     playCurrentSentence() {
+        if (this.isLocked) return;
+        
+        // A marked A-B range replaces the sentence
+        if (this.isLoopSet()) {
+            this.playLoop();
+            return;
+        }
+        
         if (this.currentCueIndex >= 0 && this.currentCueIndex < this.vttCues.length) {
             const cue = this.vttCues[this.currentCueIndex];
+            if (this.autoRamp) {
+                this.advanceRamp();
+            }
             this.audio.currentTime = cue.start;
             this.audio.play().catch(error => {
                 console.error('Playback failed:', error);
@@ -255,10 +301,36 @@ export class AudioPlayer {
         }
     }
     
+    /**
+     * Play from a position inside the current sentence (stops at the sentence end as usual)
+     */
+    playFrom(time) {
+        if (!this.audio || this.isLocked) return;
+        
+        this.audio.currentTime = time;
+        this.audio.play().catch(error => {
+            console.error('Playback failed:', error);
+        });
+    }
+    
+    /**
+     * Play a sentence without announcing a sentence change (e.g. from the results report)
+     */
+    replaySentence(index) {
+        if (index < 0 || index >= this.vttCues.length) return;
+        
+        this.currentCueIndex = index;
+        this.clearLoop();
+        this.updateNavigationButtons();
+        this.playCurrentSentence();
+    }
+    
     /**
      * Go to previous sentence
      */
     goToPreviousSentence() {
+        if (this.isLocked) return;
+        
         if (this.currentCueIndex > 0) {
             this.currentCueIndex--;
             this.updateCurrentSentence();
@@ -272,6 +344,8 @@ export class AudioPlayer {
      * Go to next sentence
      */
     goToNextSentence() {
+        if (this.isLocked) return;
+        
         if (this.currentCueIndex < this.vttCues.length - 1) {
             this.currentCueIndex++;
             this.updateCurrentSentence();
@@ -281,6 +355,19 @@ export class AudioPlayer {
         }
     }
     
+    /**
+     * Go to a specific sentence
+     */
+    goToSentence(index) {
+        if (index < 0 || index >= this.vttCues.length) return;
+        
+        this.currentCueIndex = index;
+        this.updateCurrentSentence();
+        if (this.onSentenceChange) {
+            this.onSentenceChange(this.currentCueIndex, this.getCurrentCue());
+        }
+    }
+    
     /**
      * Get current cue
      */
@@ -292,6 +379,10 @@ export class AudioPlayer {
      * Update current sentence
      */
     updateCurrentSentence() {
+        // A marked A point stays, so the B point may lie in a later sentence
+        if (this.isLoopSet()) {
+            this.clearLoop();
+        }
         this.updateNavigationButtons();
         if (this.audio) {
             const cue = this.getCurrentCue();
@@ -302,27 +393,251 @@ export class AudioPlayer {
     }
     
     /**
-     * Toggle speed
+     * Cycle through the preset speeds (keyboard shortcut)
      */
     toggleSpeed() {
+        if (this.isLocked) return;
+        
         const speedIndex = CONFIG.speeds.indexOf(this.currentSpeed);
-        const nextIndex = (speedIndex + 1) % CONFIG.speeds.length;
+        const nextSpeed = CONFIG.speeds[(speedIndex + 1) % CONFIG.speeds.length];
+        
+        this.setSpeed(nextSpeed);
+        if (this.onSpeedChange) {
+            this.onSpeedChange(this.currentSpeed);
+        }
+    }
+    
+    /**
+     * Set the learner's speed (clamped to CONFIG.speedRange, rounded to its step)
+     */
+    setSpeed(speed) {
+        const { min, max, step } = CONFIG.speedRange;
+        const rounded = Math.round(speed / step) * step;
+        this.currentSpeed = Math.round(Math.min(max, Math.max(min, rounded)) * 100) / 100;
+        
+        this.applyPlaybackRate(this.getEffectiveSpeed());
+    }
+    
+    /**
+     * Turn auto-tempo on or off
+     */
+    setAutoRamp(enabled) {
+        this.autoRamp = enabled;
+        this.ramp = { cueIndex: null, plays: 0, done: false };
+        this.applyPlaybackRate(this.currentSpeed);
+    }
+    
+    /**
+     * Auto-tempo: every play of the same sentence is one step faster, up to the learner's speed
+     */
+    advanceRamp() {
+        if (this.ramp.cueIndex !== this.currentCueIndex) {
+            this.ramp = { cueIndex: this.currentCueIndex, plays: 0, done: false };
+        }
+        
+        this.ramp.plays++;
+        this.applyPlaybackRate(this.getEffectiveSpeed());
+    }
+    
+    /**
+     * Stop ramping for the current sentence (answered correctly)
+     */
+    completeRamp() {
+        if (!this.autoRamp) return;
+        
+        this.ramp = { cueIndex: this.currentCueIndex, plays: this.ramp.plays, done: true };
+        this.applyPlaybackRate(this.currentSpeed);
+    }
+    
+    /**
+     * Speed for the next play, taking auto-tempo into account
+     */
+    getEffectiveSpeed() {
+        // Exam sections always play at normal speed
+        if (this.section) {
+            return 1.0;
+        }
+        
+        if (!this.autoRamp || this.ramp.done || this.ramp.plays === 0) {
+            return this.currentSpeed;
+        }
         
-        this.currentSpeed = CONFIG.speeds[nextIndex];
+        const { start, step } = CONFIG.autoRamp;
+        const rampSpeed = Math.round((start + (this.ramp.plays - 1) * step) * 100) / 100;
+        return Math.min(this.currentSpeed, rampSpeed);
+    }
+    
+    /**
+     * Apply a playback rate (pitch preserved) and show it on the speed button
+     */
+    applyPlaybackRate(speed) {
+        if (this.audio) {
+            this.audio.playbackRate = speed;
+            this.audio.preservesPitch = CONFIG.preservePitch;
+            this.audio.mozPreservesPitch = CONFIG.preservePitch;
+            this.audio.webkitPreservesPitch = CONFIG.preservePitch;
+        }
         
         if (this.speedBtn) {
-            // Remove all speed classes
-            CONFIG.speedClasses.forEach(cls => {
-                DOMHelpers.toggleClass(this.speedBtn, cls, false);
+            const band = SPEED_CLASSES.find(entry => speed >= entry.minSpeed);
+            SPEED_CLASSES.forEach(entry => {
+                DOMHelpers.toggleClass(this.speedBtn, entry.className, entry === band);
             });
+            DOMHelpers.toggleClass(this.speedBtn, 'ramping', speed < this.currentSpeed);
+            this.speedBtn.textContent = String(Math.round(speed * 100));
+        }
+    }
+    
+    /**
+     * Mark the A point, then the B point (starts looping), then clear the loop
+     */
+    markLoopPoint() {
+        if (!this.audio || this.isLocked) return;
+        
+        const time = this.audio.currentTime;
+        
+        if (!this.loop) {
+            this.loop = { start: time, end: null, played: 0 };
+            this.notifyLoopChange();
+            return;
+        }
+        
+        if (this.loop.end === null) {
+            if (Math.abs(time - this.loop.start) < CONFIG.abLoop.minLength) return;
             
-            // Add current speed class
-            DOMHelpers.toggleClass(this.speedBtn, CONFIG.speedClasses[nextIndex], true);
-            this.speedBtn.textContent = CONFIG.speedLabels[nextIndex];
+            this.loop = {
+                start: Math.min(this.loop.start, time),
+                end: Math.max(this.loop.start, time),
+                played: 0
+            };
+            this.playLoop();
+            return;
         }
         
-        if (this.audio) {
-            this.audio.playbackRate = this.currentSpeed;
+        this.clearLoop();
+    }
+    
+    /**
+     * Check if both loop points are marked
+     */
+    isLoopSet() {
+        return Boolean(this.loop) && this.loop.end !== null;
+    }
+    
+    /**
+     * Set how often the loop plays (0 = until stopped) and the pause between repetitions
+     */
+    setLoopOptions(options) {
+        Object.assign(this.loopOptions, options);
+        this.notifyLoopChange();
+    }
+    
+    /**
+     * Play the A-B range from the start
+     */
+    playLoop() {
+        if (!this.isLoopSet()) return;
+        
+        clearTimeout(this.loopTimer);
+        this.loopTimer = null;
+        this.loop.played = 0;
+        this.playLoopRepetition();
+        this.notifyLoopChange();
+    }
+    
+    /**
+     * Play one repetition of the A-B range
+     */
+    playLoopRepetition() {
+        this.loopTimer = null;
+        this.audio.currentTime = this.loop.start;
+        this.audio.play().catch(error => {
+            console.error('Playback failed:', error);
+        });
+    }
+    
+    /**
+     * Remove the loop points
+     */
+    clearLoop() {
+        clearTimeout(this.loopTimer);
+        this.loopTimer = null;
+        if (!this.loop) return;
+        
+        this.loop = null;
+        this.notifyLoopChange();
+    }
+    
+    /**
+     * Handle the end of a loop repetition: repeat after the gap or stop
+     */
+    handleLoopEnd() {
+        this.audio.pause();
+        this.loop.played++;
+        this.notifyLoopChange();
+        
+        const { repeat, gap } = this.loopOptions;
+        if (repeat === 0 || this.loop.played < repeat) {
+            this.loopTimer = setTimeout(() => this.playLoopRepetition(), gap * 1000);
+        }
+    }
+    
+    /**
+     * Notify about changed loop points or repetitions
+     */
+    notifyLoopChange() {
+        if (this.onLoopChange) {
+            this.onLoopChange(this.loop, this.loopOptions);
+        }
+    }
+    
+    /**
+     * Play a range straight through, across sentence ends (exam mode); onEnd runs when it is over
+     */
+    playSection(start, end, onEnd) {
+        if (!this.audio) return;
+        
+        this.clearLoop();
+        this.section = { start, end, onEnd };
+        this.applyPlaybackRate(this.getEffectiveSpeed());
+        this.audio.currentTime = start;
+        this.audio.play().catch(error => {
+            console.error('Playback failed:', error);
+        });
+    }
+    
+    /**
+     * End the playing section and run its onEnd callback
+     */
+    finishSection() {
+        const { onEnd } = this.section;
+        this.section = null;
+        this.audio.pause();
+        this.applyPlaybackRate(this.getEffectiveSpeed());
+        if (onEnd) onEnd();
+    }
+    
+    /**
+     * Stop a section before its end
+     */
+    stopSection() {
+        this.section = null;
+        this.pause();
+        this.applyPlaybackRate(this.getEffectiveSpeed());
+    }
+    
+    /**
+     * Lock the player controls (exam mode); sections still play
+     */
+    setLocked(locked) {
+        this.isLocked = locked;
+        [this.playBtn, this.prevBtn, this.nextBtn, this.speedBtn].forEach(button => {
+            if (button) button.disabled = locked;
+        });
+        
+        if (!locked) {
+            this.updatePlayButton();
+            this.updateNavigationButtons();
         }
     }
     
@@ -333,7 +648,7 @@ export class AudioPlayer {
         if (!this.playBtn) return;
         
         const isDisabled = !this.audio || this.audio.networkState === HTMLMediaElement.NETWORK_NO_SOURCE;
-        this.playBtn.disabled = isDisabled;
+        this.playBtn.disabled = isDisabled || this.isLocked;
         DOMHelpers.toggleClass(this.playBtn, 'playing', this.isPlaying);
     }
     
@@ -342,10 +657,10 @@ export class AudioPlayer {
      */
     updateNavigationButtons() {
         if (this.prevBtn) {
-            this.prevBtn.disabled = (this.currentCueIndex <= 0);
+            this.prevBtn.disabled = this.isLocked || (this.currentCueIndex <= 0);
         }
         if (this.nextBtn) {
-            this.nextBtn.disabled = (this.currentCueIndex >= this.vttCues.length - 1);
+            this.nextBtn.disabled = this.isLocked || (this.currentCueIndex >= this.vttCues.length - 1);
         }
     }
     
@@ -355,6 +670,25 @@ export class AudioPlayer {
     handleTimeUpdate() {
         this.updateProgress();
         
+        // Exam sections play on to their end
+        if (this.section) {
+            if (this.isPlaying && this.audio.currentTime >= this.section.end) {
+                this.finishSection();
+            }
+            return;
+        }
+        
+        // A-B loop: repeat the range instead of stopping at the sentence end
+        if (this.isLoopSet() && this.isPlaying) {
+            if (this.audio.currentTime >= this.loop.end) {
+                this.handleLoopEnd();
+            }
+            return;
+        }
+        
+        // While the B point is not marked yet, play on across sentence boundaries
+        if (this.loop) return;
+        
         // Check if current sentence ended
         if (this.vttCues.length > 0 && this.isPlaying) {
             const currentTime = this.audio.currentTime;
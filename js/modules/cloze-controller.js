@@ -0,0 +1,243 @@
+/**
+ * Cloze Controller for free-input gap-fill exercises
+ */
+import { CONFIG } from '../config.js';
+import { DOMHelpers } from '../utils/dom-helpers.js';
+import { TextHelpers } from '../utils/text-helpers.js';
+
+export class ClozeController {
+    constructor() {
+        // State
+        this.currentQuestion = null;
+        this.isAnswered = false;
+        this.inputs = [];
+
+        // DOM elements
+        this.container = null;
+        this.ruleSelect = null;
+        this.sentence = null;
+        this.checkButton = null;
+        this.scoreDisplay = null;
+        this.note = null;
+
+        // Callbacks
+        this.onAnswer = null;
+        this.onRuleChange = null;
+    }
+
+    /**
+     * Initialize the cloze controller
+     */
+    initialize(container) {
+        this.container = container;
+        this.createLayout();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Create the cloze layout
+     */
+    createLayout() {
+        this.container.innerHTML = '';
+
+        // Rule selection
+        this.ruleSelect = DOMHelpers.createElement('select', {
+            className: 'mode-dropdown cloze-rule-select',
+            id: 'clozeRuleSelect',
+            title: 'Lücken wählen\nGap rule'
+        });
+        Object.entries(CONFIG.cloze.ruleNames).forEach(([rule, name]) => {
+            if (rule === 'nth') {
+                CONFIG.cloze.everyChoices.forEach(every => {
+                    this.ruleSelect.appendChild(DOMHelpers.createElement('option', { value: `nth:${every}` }, `Jedes ${every}. Wort`));
+                });
+                return;
+            }
+            this.ruleSelect.appendChild(DOMHelpers.createElement('option', { value: rule }, name));
+        });
+        this.ruleSelect.value = this.getRuleValue(CONFIG.cloze.defaultRule);
+
+        this.sentence = DOMHelpers.createElement('div', {
+            className: 'cloze-sentence',
+            id: 'clozeSentence'
+        });
+
+        this.checkButton = DOMHelpers.createElement('button', {
+            className: 'sequencing-check-btn cloze-check-btn',
+            id: 'clozeCheckBtn',
+            textContent: 'Überprüfen'
+        });
+
+        this.scoreDisplay = DOMHelpers.createElement('div', { className: 'dictation-score cloze-score' });
+        this.note = DOMHelpers.createElement('div', { className: 'cloze-note' });
+
+        this.container.appendChild(this.ruleSelect);
+        this.container.appendChild(this.sentence);
+        this.container.appendChild(this.note);
+        this.container.appendChild(this.checkButton);
+        this.container.appendChild(this.scoreDisplay);
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        DOMHelpers.addEventListener(this.checkButton, 'click', () => {
+            this.checkAnswer();
+        });
+
+        DOMHelpers.addEventListener(this.ruleSelect, 'change', (e) => {
+            const [rule, every] = e.target.value.split(':');
+            if (this.onRuleChange) {
+                this.onRuleChange(rule, every ? Number(every) : undefined);
+            }
+        });
+    }
+
+    /**
+     * Selector value for a rule ("nth:3" for the nth rule)
+     */
+    getRuleValue(rule, every = CONFIG.cloze.every) {
+        return rule === 'nth' ? `nth:${every}` : rule;
+    }
+
+    /**
+     * Load a cloze question
+     */
+    loadQuestion(question) {
+        this.reset();
+        this.currentQuestion = question;
+
+        if (question.rule) {
+            this.ruleSelect.value = this.getRuleValue(question.rule, question.every);
+        }
+
+        // Build the sentence with inline inputs for the gaps
+        question.words.forEach((word, index) => {
+            if (index > 0) {
+                this.sentence.appendChild(document.createTextNode(' '));
+            }
+
+            if (!question.gaps.includes(index)) {
+                this.sentence.appendChild(document.createTextNode(word));
+                return;
+            }
+
+            // Keep punctuation outside the input
+            const answer = TextHelpers.stripPunctuation(word);
+            const answerStart = word.indexOf(answer);
+            const before = word.slice(0, answerStart);
+            const after = word.slice(answerStart + answer.length);
+            if (before) this.sentence.appendChild(document.createTextNode(before));
+
+            const input = DOMHelpers.createElement('input', {
+                className: 'cloze-input',
+                type: 'text',
+                autocomplete: 'off',
+                spellcheck: false,
+                'data-gap-index': this.inputs.length
+            });
+            input.style.width = `${Math.max(answer.length, 3) + 1}ch`;
+            input.dataset.answer = answer;
+            DOMHelpers.addEventListener(input, 'keydown', (e) => this.handleInputKeyDown(e, input));
+
+            this.inputs.push(input);
+            this.sentence.appendChild(input);
+
+            if (after) this.sentence.appendChild(document.createTextNode(after));
+        });
+
+        // The rule may select nothing in this sentence
+        if (this.inputs.length === 0) {
+            this.note.textContent = CONFIG.cloze.noGaps;
+            this.checkButton.disabled = true;
+        }
+    }
+
+    /**
+     * Enter moves to the next gap, and checks on the last one
+     */
+    handleInputKeyDown(e, input) {
+        if (e.key !== 'Enter') return;
+
+        e.preventDefault();
+        const nextInput = this.inputs[this.inputs.indexOf(input) + 1];
+        if (nextInput) {
+            nextInput.focus();
+        } else {
+            this.checkAnswer();
+        }
+    }
+
+    /**
+     * Focus the first gap
+     */
+    focus() {
+        if (this.inputs.length > 0 && !this.isAnswered) {
+            this.inputs[0].focus();
+        }
+    }
+
+    /**
+     * Check every gap
+     */
+    checkAnswer() {
+        if (this.isAnswered || !this.currentQuestion || this.inputs.length === 0) return;
+
+        this.isAnswered = true;
+
+        const gapResults = this.inputs.map(input => {
+            const typed = input.value.trim();
+            const expected = input.dataset.answer;
+            let status = 'incorrect';
+
+            if (TextHelpers.wordsMatch(expected, typed)) {
+                status = 'correct';
+            } else if (typed && TextHelpers.wordsSimilar(expected, typed)) {
+                status = 'misspelled';
+            }
+
+            // Per-gap feedback
+            input.disabled = true;
+            DOMHelpers.toggleClass(input, status, true);
+            if (status !== 'correct') {
+                input.title = expected;
+                const solution = DOMHelpers.createElement('span', { className: 'cloze-solution' }, expected);
+                input.insertAdjacentElement('afterend', solution);
+            }
+
+            return { expected, typed, status };
+        });
+
+        const points = gapResults.reduce((sum, gap) => sum + (gap.status === 'correct' ? 1 : gap.status === 'misspelled' ? 0.5 : 0), 0);
+        const score = gapResults.length > 0 ? points / gapResults.length : 0;
+        const correct = score >= CONFIG.cloze.passThreshold;
+
+        this.scoreDisplay.textContent = `${Math.round(score * 100)}%`;
+        this.checkButton.disabled = true;
+
+        if (this.onAnswer) {
+            this.onAnswer({
+                question: this.currentQuestion,
+                selected: gapResults.map(gap => gap.typed),
+                gapResults: gapResults,
+                score: score,
+                correct: correct
+            });
+        }
+    }
+
+    /**
+     * Reset the controller
+     */
+    reset() {
+        this.currentQuestion = null;
+        this.isAnswered = false;
+        this.inputs = [];
+
+        if (this.sentence) this.sentence.innerHTML = '';
+        if (this.scoreDisplay) this.scoreDisplay.textContent = '';
+        if (this.note) this.note.textContent = '';
+        if (this.checkButton) this.checkButton.disabled = false;
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * Cloze generator: blanks words in a cue transcript by rule
+ */
+import { CONFIG } from '../config.js';
+import { TextHelpers } from '../utils/text-helpers.js';
+
+const ARTICLES = new Set([
+    'der', 'die', 'das', 'den', 'dem', 'des',
+    'ein', 'eine', 'einen', 'einem', 'einer', 'eines'
+]);
+
+const PRONOUNS = new Set(['ich', 'du', 'er', 'sie', 'es', 'wir', 'ihr', 'man']);
+
+// Frequent finite forms that the suffix heuristic below would miss
+const COMMON_VERBS = new Set([
+    'bin', 'bist', 'ist', 'sind', 'seid', 'war', 'warst', 'waren', 'wart',
+    'habe', 'hast', 'hat', 'haben', 'habt', 'hatte', 'hatten',
+    'werde', 'wirst', 'wird', 'werden', 'wurde', 'wurden',
+    'kann', 'kannst', 'muss', 'musst', 'will', 'willst', 'soll', 'sollst',
+    'darf', 'darfst', 'mag', 'magst', 'möchte', 'möchtest',
+    'gibt', 'geht', 'kommt', 'macht', 'sagt', 'sieht', 'weiß', 'steht', 'liegt'
+]);
+
+// Lowercase words with verb-like endings that are not verbs
+const NOT_VERBS = new Set([
+    'wenn', 'denn', 'dann', 'wann', 'nicht', 'jetzt', 'seit', 'bis', 'oft', 'sehr', 'gut',
+    'heute', 'gestern', 'morgen', 'unten', 'oben', 'hinten', 'vorne', 'draußen', 'drinnen',
+    'schon', 'noch', 'erst', 'selbst', 'fast', 'meist', 'bereits', 'bitte', 'zuerst', 'zuletzt',
+    'einen', 'keinen', 'meinen', 'deinen', 'seinen', 'ihren', 'unseren', 'euren',
+    'diesen', 'jenen', 'welchen', 'allen', 'vielen', 'einigen', 'anderen', 'wegen', 'trotz'
+]);
+
+export class ClozeGenerator {
+    /**
+     * Create a cloze question for a cue (gaps may be empty if the rule selects no words).
+     * every is the n of the "nth" rule.
+     */
+    createQuestion(cue, rule = CONFIG.cloze.defaultRule, every = CONFIG.cloze.every) {
+        const words = TextHelpers.tokenize(cue.text);
+        const gaps = this.selectGaps(words, rule, cue, every);
+
+        const question = {
+            type: CONFIG.exerciseModes.CLOZE,
+            question: CONFIG.cloze.prompt,
+            words: words,
+            gaps: gaps,
+            rule: rule,
+            generated: true
+        };
+        if (rule === 'nth') {
+            question.every = every;
+        }
+        return question;
+    }
+
+    /**
+     * Select the word indices to blank for a rule
+     */
+    selectGaps(words, rule, cue = {}, every = CONFIG.cloze.every) {
+        const candidates = words
+            .map((word, index) => ({ word: TextHelpers.stripPunctuation(word), index }))
+            .filter(({ word }) => word !== '');
+
+        switch (rule) {
+            case 'nth':
+                return candidates
+                    .filter((_, position) => (position + 1) % every === 0)
+                    .map(({ index }) => index);
+            case 'verbs':
+                return candidates
+                    .filter(({ word, index }) => this.isLikelyVerb(word, index, words))
+                    .map(({ index }) => index);
+            case 'articles':
+                return candidates
+                    .filter(({ word }) => ARTICLES.has(word.toLowerCase()))
+                    .map(({ index }) => index);
+            case 'tagged':
+                return (cue.gapWords || []).filter(index => index < words.length);
+            default:
+                console.warn('Unknown cloze rule:', rule);
+                return [];
+        }
+    }
+
+    /**
+     * Heuristic verb detection (German nouns are capitalized, so only lowercase
+     * words and known finite forms qualify)
+     */
+    isLikelyVerb(word, index, words) {
+        const lower = word.toLowerCase();
+
+        if (COMMON_VERBS.has(lower)) {
+            return true;
+        }
+        if (word !== lower || NOT_VERBS.has(lower) || ARTICLES.has(lower) || lower.length < 3) {
+            return false;
+        }
+
+        const previous = index > 0 ? TextHelpers.stripPunctuation(words[index - 1]).toLowerCase() : '';
+
+        // "-en" after an article is an adjective ("einen schönen Tag")
+        if (/(en|ern|eln)$/.test(lower)) {
+            return !ARTICLES.has(previous);
+        }
+
+        // Finite forms right after a personal pronoun ("er spielt", "du fährst")
+        return /(e|t|st|te|ten|test|tet)$/.test(lower) && PRONOUNS.has(previous);
+    }
+}
@@ -0,0 +1,193 @@
+/**
+ * Dictation Controller for typed-answer exercises
+ */
+import { CONFIG } from '../config.js';
+import { DOMHelpers } from '../utils/dom-helpers.js';
+import { TextHelpers } from '../utils/text-helpers.js';
+
+export class DictationController {
+    constructor() {
+        // State
+        this.currentQuestion = null;
+        this.isAnswered = false;
+
+        // DOM elements
+        this.container = null;
+        this.input = null;
+        this.checkButton = null;
+        this.resultDisplay = null;
+
+        // Callbacks
+        this.onAnswer = null;
+    }
+
+    /**
+     * Initialize the dictation controller
+     */
+    initialize(container) {
+        this.container = container;
+        this.createLayout();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Create the dictation layout
+     */
+    createLayout() {
+        this.container.innerHTML = '';
+
+        this.input = DOMHelpers.createElement('textarea', {
+            className: 'dictation-input',
+            id: 'dictationInput',
+            rows: 2,
+            placeholder: 'Schreib, was du hörst …',
+            spellcheck: false,
+            autocomplete: 'off'
+        });
+
+        this.checkButton = DOMHelpers.createElement('button', {
+            className: 'sequencing-check-btn dictation-check-btn',
+            id: 'dictationCheckBtn',
+            textContent: 'Überprüfen'
+        });
+
+        this.resultDisplay = DOMHelpers.createElement('div', {
+            className: 'dictation-result',
+            id: 'dictationResult'
+        });
+
+        this.container.appendChild(this.input);
+        this.container.appendChild(this.checkButton);
+        this.container.appendChild(this.resultDisplay);
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        DOMHelpers.addEventListener(this.checkButton, 'click', () => {
+            this.checkAnswer();
+        });
+
+        // Enter checks, Shift+Enter adds a line break
+        DOMHelpers.addEventListener(this.input, 'keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.checkAnswer();
+            }
+        });
+    }
+
+    /**
+     * Load a dictation question
+     */
+    loadQuestion(question) {
+        this.reset();
+        this.currentQuestion = question;
+    }
+
+    /**
+     * Focus the input (after the sentence has been played)
+     */
+    focus() {
+        if (this.input && !this.isAnswered) {
+            this.input.focus();
+        }
+    }
+
+    /**
+     * Check the typed sentence against the transcript
+     */
+    checkAnswer() {
+        if (this.isAnswered || !this.currentQuestion) return;
+
+        const typedText = this.input.value.trim();
+        if (!typedText) {
+            this.input.focus();
+            return;
+        }
+
+        this.isAnswered = true;
+        const comparison = TextHelpers.compareWords(this.currentQuestion.answer, typedText);
+        const score = this.calculateScore(comparison);
+        const correct = score >= CONFIG.dictation.passThreshold;
+
+        this.showComparison(comparison, score);
+
+        // Disable further input
+        this.input.disabled = true;
+        this.checkButton.disabled = true;
+
+        if (this.onAnswer) {
+            this.onAnswer({
+                question: this.currentQuestion,
+                selected: typedText,
+                comparison: comparison,
+                score: score,
+                correct: correct
+            });
+        }
+    }
+
+    /**
+     * Score a comparison from 0 to 1 (misspellings count half, extra words count against)
+     */
+    calculateScore(comparison) {
+        const counts = { correct: 0, misspelled: 0, missing: 0, extra: 0 };
+        comparison.forEach(entry => counts[entry.status]++);
+
+        const total = counts.correct + counts.misspelled + counts.missing + counts.extra;
+        if (total === 0) return 0;
+
+        return (counts.correct + counts.misspelled * 0.5) / total;
+    }
+
+    /**
+     * Show the word-by-word comparison
+     */
+    showComparison(comparison, score) {
+        this.resultDisplay.innerHTML = '';
+
+        const words = DOMHelpers.createElement('div', { className: 'dictation-words' });
+        comparison.forEach(entry => {
+            const word = DOMHelpers.createElement('span', { className: `dictation-word ${entry.status}` });
+
+            if (entry.status === 'misspelled') {
+                word.appendChild(DOMHelpers.createElement('del', {}, entry.typed));
+                word.appendChild(document.createTextNode(' '));
+                word.appendChild(DOMHelpers.createElement('ins', {}, entry.expected));
+                word.title = 'Rechtschreibung\nMisspelled';
+            } else if (entry.status === 'missing') {
+                word.textContent = entry.expected;
+                word.title = 'Fehlt\nMissing';
+            } else if (entry.status === 'extra') {
+                word.textContent = entry.typed;
+                word.title = 'Zu viel\nExtra';
+            } else {
+                word.textContent = entry.expected;
+            }
+
+            words.appendChild(word);
+        });
+
+        const summary = DOMHelpers.createElement('div', { className: 'dictation-score' }, `${Math.round(score * 100)}%`);
+
+        this.resultDisplay.appendChild(words);
+        this.resultDisplay.appendChild(summary);
+    }
+
+    /**
+     * Reset the controller
+     */
+    reset() {
+        this.currentQuestion = null;
+        this.isAnswered = false;
+
+        if (this.input) {
+            this.input.value = '';
+            this.input.disabled = false;
+        }
+        if (this.checkButton) this.checkButton.disabled = false;
+        if (this.resultDisplay) this.resultDisplay.innerHTML = '';
+    }
+}
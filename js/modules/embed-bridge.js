@@ -0,0 +1,140 @@
+/**
+ * Embed mode: talks to the host page through postMessage when the tool runs in an iframe
+ */
+import { CONFIG } from '../config.js';
+import { DOMHelpers } from '../utils/dom-helpers.js';
+
+export class EmbedBridge {
+    constructor() {
+        // State
+        this.isEnabled = false;
+        this.hostOrigin = null;
+        this.lastHeight = 0;
+        this.lastReportAt = 0;
+        this.reportTimer = null;
+        this.pollTimer = null;
+        this.resizeObserver = null;
+
+        // Callbacks (commands from the host)
+        this.onLoadLesson = null;
+        this.onSetMode = null;
+        this.onPause = null;
+    }
+
+    /**
+     * Enable embed mode inside an iframe or with ?embed=1
+     */
+    initialize() {
+        const requested = new URLSearchParams(window.location.search).get('embed');
+        this.isEnabled = requested === '1' || (requested !== '0' && window.parent !== window);
+        if (!this.isEnabled) return;
+
+        DOMHelpers.toggleClass(document.documentElement, 'embedded', true);
+
+        this.hostOrigin = this.resolveHostOrigin();
+        if (!this.hostOrigin) {
+            console.warn('Embed mode: host origin not in CONFIG.embed.allowedOrigins, no messages are sent or accepted');
+            return;
+        }
+
+        DOMHelpers.addEventListener(window, 'message', (e) => this.handleMessage(e));
+        this.startHeightReporting();
+        this.send('ready');
+    }
+
+    /**
+     * The host page's origin from ?origin= or the referrer, if it is allowed; a single
+     * allowed origin is used as is (postMessage only delivers to it anyway)
+     */
+    resolveHostOrigin() {
+        const allowed = CONFIG.embed.allowedOrigins || [];
+        const requested = new URLSearchParams(window.location.search).get('origin');
+        let referrerOrigin = null;
+        try {
+            referrerOrigin = document.referrer ? new URL(document.referrer).origin : null;
+        } catch (error) {
+            referrerOrigin = null;
+        }
+
+        const origin = [requested, referrerOrigin].find(candidate => candidate && allowed.includes(candidate));
+        if (origin) return origin;
+        return allowed.length === 1 && !requested ? allowed[0] : null;
+    }
+
+    /**
+     * Report the document height whenever the layout changes
+     */
+    startHeightReporting() {
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.reportHeight());
+            this.resizeObserver.observe(document.body);
+        }
+        DOMHelpers.addEventListener(window, 'resize', () => this.reportHeight());
+        DOMHelpers.addEventListener(window, 'load', () => this.reportHeight());
+
+        // Backup for changes the observer misses (images, fonts, browsers without ResizeObserver)
+        this.pollTimer = setInterval(() => this.reportHeight(), CONFIG.backupPollingInterval);
+        this.reportHeight();
+    }
+
+    /**
+     * Send the height to the host, at most once per heightReportThrottle and only when it changed
+     */
+    reportHeight() {
+        if (!this.isEnabled) return;
+
+        const wait = this.lastReportAt + CONFIG.heightReportThrottle - Date.now();
+        if (wait > 0) {
+            if (this.reportTimer === null) {
+                this.reportTimer = setTimeout(() => {
+                    this.reportTimer = null;
+                    this.reportHeight();
+                }, wait);
+            }
+            return;
+        }
+
+        const height = Math.ceil(document.body.scrollHeight);
+        this.lastReportAt = Date.now();
+        if (height === this.lastHeight) return;
+
+        this.lastHeight = height;
+        this.send('height', { height });
+    }
+
+    /**
+     * Post an event to the host page; the height is re-checked once the UI has updated
+     */
+    send(type, data = {}) {
+        if (!this.isEnabled || !this.hostOrigin) return;
+
+        window.parent.postMessage({ source: CONFIG.embed.source, type, ...data }, this.hostOrigin);
+        if (type !== 'height') {
+            setTimeout(() => this.reportHeight(), CONFIG.autoResizeDelay);
+        }
+    }
+
+    /**
+     * Run a command from the host page: loadLesson, setMode or pause
+     */
+    handleMessage(event) {
+        if (event.source !== window.parent || event.origin !== this.hostOrigin) return;
+
+        const message = event.data;
+        if (!message || typeof message !== 'object') return;
+
+        switch (message.type) {
+            case 'loadLesson':
+                if (typeof message.lessonId === 'string' && this.onLoadLesson) this.onLoadLesson(message.lessonId);
+                break;
+            case 'setMode':
+                if (typeof message.mode === 'string' && this.onSetMode) this.onSetMode(message.mode);
+                break;
+            case 'pause':
+                if (this.onPause) this.onPause();
+                break;
+            default:
+                break;
+        }
+    }
+}
@@ -0,0 +1,318 @@
+/**
+ * Exam simulation panel: setup, all questions on one page, countdown and points-based score
+ */
+import { CONFIG } from '../config.js';
+import { DOMHelpers } from '../utils/dom-helpers.js';
+
+const OPTION_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+export class ExamController {
+    constructor() {
+        // State
+        this.items = []; // { question, sentenceIndex, questionIndex }
+        this.answers = [];
+        this.isAnswerable = false;
+        this.countdownTimer = null;
+        this.countdownEnd = 0;
+
+        // DOM elements
+        this.container = null;
+        this.phaseLabel = null;
+        this.countdownLabel = null;
+        this.body = null;
+
+        // Callbacks
+        this.onStart = null;
+        this.onSubmit = null;
+        this.onRestart = null;
+        this.onExit = null;
+    }
+
+    /**
+     * Initialize the exam panel
+     */
+    initialize(container) {
+        this.container = container;
+        this.createLayout();
+        this.hide();
+    }
+
+    /**
+     * Create the panel layout: phase and countdown above the content
+     */
+    createLayout() {
+        this.container.innerHTML = '';
+
+        const header = DOMHelpers.createElement('div', { className: 'exam-header' });
+        this.phaseLabel = DOMHelpers.createElement('span', { className: 'exam-phase' });
+        this.countdownLabel = DOMHelpers.createElement('span', { className: 'exam-countdown' });
+        header.appendChild(this.phaseLabel);
+        header.appendChild(this.countdownLabel);
+
+        this.body = DOMHelpers.createElement('div', { className: 'exam-body' });
+
+        this.container.appendChild(header);
+        this.container.appendChild(this.body);
+    }
+
+    /**
+     * Pick one question per sentence of a section: the first of CONFIG.exam.questionTypes,
+     * or any multiple-choice question if the section has none of these types
+     */
+    selectQuestions(cues, start, end) {
+        const pick = (isEligible) => {
+            const items = [];
+            for (let sentenceIndex = start; sentenceIndex < end; sentenceIndex++) {
+                const questions = (cues[sentenceIndex] && cues[sentenceIndex].questions) || [];
+                const questionIndex = questions.findIndex(isEligible);
+                if (questionIndex !== -1) {
+                    items.push({ question: questions[questionIndex], sentenceIndex, questionIndex });
+                }
+            }
+            return items;
+        };
+
+        const isMultipleChoice = (question) => Array.isArray(question.options) && Number.isInteger(question.correct);
+        const preferred = pick(question => isMultipleChoice(question) && CONFIG.exam.questionTypes.includes(question.type));
+        return preferred.length > 0 ? preferred : pick(isMultipleChoice);
+    }
+
+    /**
+     * Exam settings: section, number of plays and when the questions are shown
+     */
+    showSetup(sections) {
+        this.stopCountdown();
+        this.setPhase('Prüfung vorbereiten');
+        this.body.innerHTML = '';
+
+        const createSelect = (label, options, value) => {
+            const field = DOMHelpers.createElement('label', { className: 'exam-field' });
+            field.appendChild(DOMHelpers.createElement('span', { className: 'exam-field-label' }, label));
+            const select = DOMHelpers.createElement('select', { className: 'mode-dropdown exam-select' });
+            options.forEach(([optionValue, text]) => {
+                select.appendChild(DOMHelpers.createElement('option', { value: optionValue }, text));
+            });
+            select.value = value;
+            field.appendChild(select);
+            this.body.appendChild(field);
+            return select;
+        };
+
+        const sectionSelect = createSelect('Teil', sections.map((section, index) => [index, section.label]), 0);
+        const playsSelect = createSelect('Hören', CONFIG.exam.plays.map(plays => [plays, plays === 1 ? 'einmal' : `${plays}-mal`]), CONFIG.exam.defaultPlays);
+        const orderSelect = createSelect('Aufgaben', [['before', 'vor dem Hören lesen'], ['after', 'nach dem Hören zeigen']], 'before');
+
+        this.body.appendChild(DOMHelpers.createElement('p', { className: 'exam-note' },
+            'Während der Prüfung gibt es keine Hinweise, kein Tempo und keine Wiederholung einzelner Sätze.'));
+
+        const startButton = DOMHelpers.createElement('button', { className: 'report-retry-btn', id: 'examStartBtn' }, 'Prüfung starten');
+        DOMHelpers.addEventListener(startButton, 'click', () => {
+            if (this.onStart) {
+                this.onStart({
+                    section: sections[Number(sectionSelect.value)],
+                    plays: Number(playsSelect.value),
+                    questionsFirst: orderSelect.value === 'before'
+                });
+            }
+        });
+        this.body.appendChild(startButton);
+
+        this.show();
+    }
+
+    /**
+     * Show a message instead of the questions (e.g. while listening with the questions coming after)
+     */
+    showMessage(message) {
+        this.body.innerHTML = '';
+        this.body.appendChild(DOMHelpers.createElement('p', { className: 'exam-message' }, message));
+    }
+
+    /**
+     * Show all questions on one page
+     */
+    showQuestions(items) {
+        this.items = items;
+        this.answers = items.map(() => null);
+        this.body.innerHTML = '';
+
+        const list = DOMHelpers.createElement('ol', { className: 'exam-questions' });
+        items.forEach((item, itemIndex) => {
+            const row = DOMHelpers.createElement('li', { className: 'exam-question' });
+            row.appendChild(DOMHelpers.createElement('div', { className: 'exam-question-text' }, item.question.question));
+
+            const options = DOMHelpers.createElement('div', { className: 'exam-options' });
+            item.question.options.forEach((option, optionIndex) => {
+                const button = DOMHelpers.createElement('button', {
+                    className: 'answer-btn exam-option',
+                    'data-option': optionIndex
+                });
+                button.appendChild(DOMHelpers.createElement('span', { className: 'option-letter' }, OPTION_LETTERS[optionIndex] || String(optionIndex + 1)));
+                button.appendChild(DOMHelpers.createElement('span', { className: 'option-text' }, option));
+                DOMHelpers.addEventListener(button, 'click', () => this.selectOption(itemIndex, optionIndex, options));
+                options.appendChild(button);
+            });
+            row.appendChild(options);
+            list.appendChild(row);
+        });
+        this.body.appendChild(list);
+
+        const submitButton = DOMHelpers.createElement('button', { className: 'report-retry-btn exam-submit-btn', id: 'examSubmitBtn' }, 'Abgeben');
+        DOMHelpers.addEventListener(submitButton, 'click', () => {
+            if (this.onSubmit) this.onSubmit();
+        });
+        this.body.appendChild(submitButton);
+
+        this.setAnswerable(this.isAnswerable);
+    }
+
+    /**
+     * Choose an option; the choice can be changed until the exam ends
+     */
+    selectOption(itemIndex, optionIndex, optionsElement) {
+        if (!this.isAnswerable) return;
+
+        this.answers[itemIndex] = optionIndex;
+        optionsElement.querySelectorAll('.exam-option').forEach(button => {
+            DOMHelpers.toggleClass(button, 'selected', Number(button.dataset.option) === optionIndex);
+        });
+    }
+
+    /**
+     * Allow or block answering; submitting early is only possible after listening
+     */
+    setAnswerable(answerable, canSubmit = false) {
+        this.isAnswerable = answerable;
+        this.body.querySelectorAll('.exam-option').forEach(button => {
+            button.disabled = !answerable;
+        });
+
+        const submitButton = this.body.querySelector('.exam-submit-btn');
+        if (submitButton) {
+            DOMHelpers.toggleDisplay(submitButton, canSubmit, 'inline-block');
+        }
+    }
+
+    /**
+     * Points for the chosen answers and whether they pass
+     */
+    getScore() {
+        const correct = this.items.filter((item, index) => this.answers[index] === item.question.correct).length;
+        const maxPoints = this.items.length * CONFIG.exam.pointsPerQuestion;
+        const points = correct * CONFIG.exam.pointsPerQuestion;
+        const percent = maxPoints > 0 ? Math.round((points / maxPoints) * 100) : 0;
+
+        return { correct, total: this.items.length, points, maxPoints, percent, passed: percent >= CONFIG.exam.passThreshold };
+    }
+
+    /**
+     * Show the score and every question with the chosen and the correct answer
+     */
+    showScore(score) {
+        this.stopCountdown();
+        this.setPhase('Ergebnis');
+        this.setAnswerable(false);
+        this.body.innerHTML = '';
+
+        const summary = DOMHelpers.createElement('div', { className: `exam-score ${score.passed ? 'passed' : 'failed'}` });
+        summary.appendChild(DOMHelpers.createElement('div', { className: 'exam-score-points' },
+            `${score.points} / ${score.maxPoints} Punkte (${score.percent}%)`));
+        summary.appendChild(DOMHelpers.createElement('div', { className: 'exam-score-verdict' },
+            `${score.passed ? 'Bestanden' : 'Nicht bestanden'} · Bestehensgrenze ${CONFIG.exam.passThreshold}%`));
+        this.body.appendChild(summary);
+
+        const list = DOMHelpers.createElement('ol', { className: 'exam-questions' });
+        this.items.forEach((item, index) => {
+            const chosen = this.answers[index];
+            const isCorrect = chosen === item.question.correct;
+            const row = DOMHelpers.createElement('li', { className: `exam-question ${isCorrect ? 'correct' : 'wrong'}` });
+            row.appendChild(DOMHelpers.createElement('div', { className: 'exam-question-text' },
+                `${isCorrect ? '✓' : '✗'} ${item.question.question} (Satz ${item.sentenceIndex + 1})`));
+            if (!isCorrect) {
+                row.appendChild(DOMHelpers.createElement('div', { className: 'report-answer chosen' },
+                    `Deine Antwort: ${chosen === null ? '—' : item.question.options[chosen]}`));
+            }
+            row.appendChild(DOMHelpers.createElement('div', { className: 'report-answer correct' },
+                `Richtig: ${item.question.options[item.question.correct]}`));
+            list.appendChild(row);
+        });
+        this.body.appendChild(list);
+
+        const actions = DOMHelpers.createElement('div', { className: 'exam-actions' });
+        const restartButton = DOMHelpers.createElement('button', { className: 'report-retry-btn' }, 'Neue Prüfung');
+        DOMHelpers.addEventListener(restartButton, 'click', () => {
+            if (this.onRestart) this.onRestart();
+        });
+        const exitButton = DOMHelpers.createElement('button', { className: 'transfer-btn' }, 'Zurück zum Üben');
+        DOMHelpers.addEventListener(exitButton, 'click', () => {
+            if (this.onExit) this.onExit();
+        });
+        actions.appendChild(restartButton);
+        actions.appendChild(exitButton);
+        this.body.appendChild(actions);
+    }
+
+    /**
+     * Show the current phase (reading, listening, answering)
+     */
+    setPhase(text) {
+        DOMHelpers.setContent(this.phaseLabel, text);
+    }
+
+    /**
+     * Count down from a number of seconds; onDone runs when the time is up
+     */
+    startCountdown(seconds, onDone = null) {
+        this.stopCountdown();
+        this.countdownEnd = Date.now() + seconds * 1000;
+
+        const tick = () => {
+            const remaining = Math.max(0, Math.ceil((this.countdownEnd - Date.now()) / 1000));
+            DOMHelpers.setContent(this.countdownLabel, `${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')}`);
+            DOMHelpers.toggleClass(this.countdownLabel, 'ending', remaining <= 10);
+
+            if (remaining === 0) {
+                this.stopCountdown();
+                if (onDone) onDone();
+            }
+        };
+        this.countdownTimer = setInterval(tick, 250);
+        tick();
+    }
+
+    /**
+     * Stop the countdown
+     */
+    stopCountdown() {
+        if (this.countdownTimer !== null) {
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = null;
+        }
+        if (this.countdownLabel) {
+            DOMHelpers.setContent(this.countdownLabel, '');
+            DOMHelpers.toggleClass(this.countdownLabel, 'ending', false);
+        }
+    }
+
+    /**
+     * Show the panel
+     */
+    show() {
+        DOMHelpers.toggleClass(this.container, 'hidden', false);
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        this.stopCountdown();
+        DOMHelpers.toggleClass(this.container, 'hidden', true);
+    }
+
+    /**
+     * Check if the panel is visible
+     */
+    isVisible() {
+        return this.container ? !DOMHelpers.hasClass(this.container, 'hidden') : false;
+    }
+}
@@ -0,0 +1,61 @@
+/**
+ * Progressive hints for a sentence: word shapes, then keywords, then the full text with glosses
+ */
+import { CONFIG } from '../config.js';
+import { TextHelpers } from '../utils/text-helpers.js';
+
+export class HintBuilder {
+    /**
+     * Build the hint for a level (1 = word count and first letters, 2 = keywords, 3 = full text).
+     * Returns { level, wordCount, text, glosses } with glosses as [word, translation] pairs.
+     */
+    build(cue, level, question = null) {
+        const words = TextHelpers.tokenize(cue.text);
+        const hint = {
+            level: Math.min(Math.max(level, 1), CONFIG.hints.levels),
+            wordCount: words.length,
+            text: cue.text,
+            glosses: []
+        };
+
+        if (hint.level === 1) {
+            hint.text = words.map(word => this.maskWord(word)).join(' ');
+        } else if (hint.level === 2) {
+            hint.text = words.map(word => this.isKeyword(word) ? word : this.maskWord(word)).join(' ');
+        } else if (question && question.questionTranslations) {
+            hint.glosses = Object.entries(question.questionTranslations);
+        }
+
+        return hint;
+    }
+
+    /**
+     * Keep the first letter and punctuation, replace the other letters with underscores
+     */
+    maskWord(word) {
+        let isFirstLetter = true;
+        return word.replace(/[\p{L}\p{N}]/gu, (letter) => {
+            if (isFirstLetter) {
+                isFirstLetter = false;
+                return letter;
+            }
+            return '_';
+        });
+    }
+
+    /**
+     * Content words that carry the meaning of the sentence
+     */
+    isKeyword(word) {
+        const stripped = TextHelpers.stripPunctuation(word);
+        return stripped.length >= CONFIG.hints.minKeywordLength && !TextHelpers.isFunctionWord(stripped);
+    }
+
+    /**
+     * Points for an answer after using hints up to a level
+     */
+    getPoints(correct, level) {
+        if (!correct) return 0;
+        return 1 - (CONFIG.hints.pointPenalties[level] || 0);
+    }
+}
@@ -1,21 +1,74 @@
 /**
  * Keyboard shortcuts handler for listening tool
+ *
+ * Every action belongs to a context (CONFIG.shortcuts): player shortcuts work everywhere,
+ * quiz and sequencing shortcuts only while such a question is shown. In text entry and selects
+ * only shortcuts with Ctrl, Cmd or Alt are active, so bare keys always reach the field. Enter
+ * or Space on a focused button or link activates it instead of a shortcut.
  */
 import { CONFIG } from '../config.js';
 
+// Handler callback and argument for every action
+const ACTION_HANDLERS = {
+    playPause: ['onPlayPause'],
+    previousSentence: ['onPreviousSentence'],
+    nextSentence: ['onNextSentence'],
+    repeatSentence: ['onRepeatSentence'],
+    toggleSpeed: ['onToggleSpeed'],
+    markLoop: ['onMarkLoop'],
+    clearLoop: ['onClearLoop'],
+    showHint: ['onShowHint'],
+    showHelp: ['onShowHelp'],
+    showTranslations: ['onShowTranslations'],
+    answer1: ['onAnswer', 0],
+    answer2: ['onAnswer', 1],
+    answer3: ['onAnswer', 2],
+    answer4: ['onAnswer', 3],
+    submitAnswer: ['onSubmit'],
+    checkOrder: ['onCheckOrder']
+};
+
+const KEY_LABELS = {
+    shift: 'Shift',
+    ctrl: 'Strg',
+    meta: '⌘',
+    alt: 'Alt',
+    arrowleft: '←',
+    arrowright: '→',
+    arrowup: '↑',
+    arrowdown: '↓',
+    space: 'Leertaste',
+    backspace: '⌫',
+    enter: 'Enter',
+    esc: 'Esc'
+};
+
 export class KeyboardShortcuts {
     constructor() {
         this.isEnabled = true;
         
+        // Keys per action: the defaults from CONFIG.shortcuts with the learner's changes
+        this.bindings = {};
+        this.resetBindings();
+        
+        // Context of the current question ('player', 'quiz', 'sequencing' or 'text')
+        this.getContext = null;
+        
         // Handler callbacks
         this.onPlayPause = null;
         this.onPreviousSentence = null;
         this.onNextSentence = null;
         this.onRepeatSentence = null;
         this.onToggleSpeed = null;
+        this.onMarkLoop = null;
+        this.onClearLoop = null;
         this.onShowHint = null;
+        this.onShowHelp = null;
+        this.onShowTranslations = null;
         this.onAnswer = null;
         this.onSubmit = null;
+        this.onCheckOrder = null;
+        this.onBindingsChange = null;
     }
     
     /**
@@ -32,76 +85,64 @@ export class KeyboardShortcuts {
         if (!this.isEnabled) return;
         
         const keyCombo = this.getKeyCombo(e);
+        if (this.isNativeActivation(e.target, keyCombo)) return;
         
-        // Check play/pause
-        if (CONFIG.shortcuts.playPause.includes(keyCombo)) {
-            e.preventDefault();
-            if (this.onPlayPause) this.onPlayPause();
-            return;
-        }
-        
-        // Check navigation
-        if (CONFIG.shortcuts.previousSentence.includes(keyCombo)) {
-            e.preventDefault();
-            if (this.onPreviousSentence) this.onPreviousSentence();
-            return;
-        }
-        
-        if (CONFIG.shortcuts.nextSentence.includes(keyCombo)) {
-            e.preventDefault();
-            if (this.onNextSentence) this.onNextSentence();
-            return;
-        }
-        
-        if (CONFIG.shortcuts.repeatSentence.includes(keyCombo)) {
-            e.preventDefault();
-            if (this.onRepeatSentence) this.onRepeatSentence();
-            return;
-        }
-        
-        // Check speed toggle
-        if (CONFIG.shortcuts.toggleSpeed.includes(keyCombo)) {
-            e.preventDefault();
-            if (this.onToggleSpeed) this.onToggleSpeed();
-            return;
-        }
+        const context = this.getActiveContext(e.target);
+        const action = Object.keys(this.bindings).find(name => (
+            this.bindings[name].includes(keyCombo) && this.isActionActive(name, context, keyCombo)
+        ));
+        if (!action) return;
         
-        // Check hint
-        if (CONFIG.shortcuts.showHint.includes(keyCombo)) {
-            e.preventDefault();
-            if (this.onShowHint) this.onShowHint();
-            return;
-        }
+        e.preventDefault();
+        const [handlerName, argument] = ACTION_HANDLERS[action];
+        if (this[handlerName]) this[handlerName](argument);
+    }
+    
+    /**
+     * Check if a key activates the focused button or link itself (Enter, Space), which wins over shortcuts
+     */
+    isNativeActivation(target, keyCombo) {
+        if (!target || !target.closest || !['enter', 'space'].includes(keyCombo)) return false;
+        return Boolean(target.closest('button, a[href], [role="button"]'));
+    }
+    
+    /**
+     * Context for a key press: text entry while a text field or a select has the focus
+     * (bare keys belong to it), else the question's context
+     */
+    getActiveContext(target) {
+        if (this.isTextInput(target) || (target && target.tagName && target.tagName.toLowerCase() === 'select')) return 'text';
+        return this.getContext ? this.getContext() : 'player';
+    }
+    
+    /**
+     * Check if an action reacts to a key combination in a context
+     */
+    isActionActive(action, context, keyCombo) {
+        const actionContext = CONFIG.shortcuts[action].context;
         
-        // Check answer selection (1-4 or A-D)
-        const key = e.key.toLowerCase();
-        if (CONFIG.shortcuts.answer1.includes(key)) {
-            e.preventDefault();
-            if (this.onAnswer) this.onAnswer(0);
-            return;
-        }
-        if (CONFIG.shortcuts.answer2.includes(key)) {
-            e.preventDefault();
-            if (this.onAnswer) this.onAnswer(1);
-            return;
-        }
-        if (CONFIG.shortcuts.answer3.includes(key)) {
-            e.preventDefault();
-            if (this.onAnswer) this.onAnswer(2);
-            return;
-        }
-        if (CONFIG.shortcuts.answer4.includes(key)) {
-            e.preventDefault();
-            if (this.onAnswer) this.onAnswer(3);
-            return;
+        // Bare keys belong to text fields while typing
+        if (context === 'text') {
+            return actionContext === 'player' && this.hasModifier(keyCombo);
         }
+        return actionContext === 'player' || actionContext === context;
+    }
+    
+    /**
+     * Check if a key combination uses Ctrl, Cmd or Alt
+     */
+    hasModifier(keyCombo) {
+        return keyCombo.split('+').slice(0, -1).some(part => part !== 'shift');
+    }
+    
+    /**
+     * Check if an element accepts typed text
+     */
+    isTextInput(element) {
+        if (!element || !element.tagName) return false;
         
-        // Check submit
-        if (CONFIG.shortcuts.submitAnswer.includes(key) && !e.shiftKey && !e.ctrlKey && !e.metaKey) {
-            e.preventDefault();
-            if (this.onSubmit) this.onSubmit();
-            return;
-        }
+        const tagName = element.tagName.toLowerCase();
+        return tagName === 'textarea' || (tagName === 'input' && !['button', 'checkbox', 'radio'].includes(element.type)) || element.isContentEditable;
     }
     
     /**
@@ -132,6 +173,102 @@ export class KeyboardShortcuts {
         return parts.join('+');
     }
     
+    /**
+     * Check if a key event is a modifier on its own (not a complete shortcut yet)
+     */
+    isModifierKey(e) {
+        return ['Shift', 'Control', 'Meta', 'Alt', 'AltGraph'].includes(e.key);
+    }
+    
+    /**
+     * Readable form of a key combination (Shift+Strg+Enter)
+     */
+    formatKeyCombo(keyCombo) {
+        return keyCombo
+            .split('+')
+            .map(part => KEY_LABELS[part] || (part.length === 1 ? part.toUpperCase() : part))
+            .join('+');
+    }
+    
+    /**
+     * The action that already uses a key combination where it would also fire for `action`, or null
+     */
+    findConflict(action, keyCombo) {
+        const context = CONFIG.shortcuts[action].context;
+        
+        return Object.keys(this.bindings).find(other => {
+            if (other === action || !this.bindings[other].includes(keyCombo)) return false;
+            
+            // Quiz and sequencing questions are never shown at the same time
+            const otherContext = CONFIG.shortcuts[other].context;
+            return otherContext === context || otherContext === 'player' || context === 'player';
+        }) || null;
+    }
+    
+    /**
+     * Add a key combination to an action; returns the conflicting action instead if there is one
+     */
+    addBinding(action, keyCombo) {
+        const conflict = this.findConflict(action, keyCombo);
+        if (conflict) return conflict;
+        
+        if (!this.bindings[action].includes(keyCombo)) {
+            this.bindings[action] = [...this.bindings[action], keyCombo];
+            this.notifyBindingsChange();
+        }
+        return null;
+    }
+    
+    /**
+     * Remove a key combination from an action
+     */
+    removeBinding(action, keyCombo) {
+        this.bindings[action] = this.bindings[action].filter(key => key !== keyCombo);
+        this.notifyBindingsChange();
+    }
+    
+    /**
+     * Back to the default keys of CONFIG.shortcuts
+     */
+    resetBindings() {
+        this.bindings = {};
+        Object.entries(CONFIG.shortcuts).forEach(([action, shortcut]) => {
+            this.bindings[action] = [...shortcut.keys];
+        });
+        this.notifyBindingsChange();
+    }
+    
+    /**
+     * Apply stored changes ({ action: keys }); unknown actions are ignored
+     */
+    setBindings(overrides) {
+        Object.entries(overrides || {}).forEach(([action, keys]) => {
+            if (this.bindings[action] && Array.isArray(keys)) {
+                this.bindings[action] = keys.filter(key => typeof key === 'string');
+            }
+        });
+    }
+    
+    /**
+     * Actions whose keys differ from the defaults, for storing
+     */
+    getOverrides() {
+        const overrides = {};
+        Object.entries(this.bindings).forEach(([action, keys]) => {
+            if (keys.join(' ') !== CONFIG.shortcuts[action].keys.join(' ')) {
+                overrides[action] = keys;
+            }
+        });
+        return overrides;
+    }
+    
+    /**
+     * Tell the app to store the bindings
+     */
+    notifyBindingsChange() {
+        if (this.onBindingsChange) this.onBindingsChange(this.getOverrides());
+    }
+    
     /**
      * Set handler callbacks
      */
@@ -145,4 +282,4 @@ export class KeyboardShortcuts {
     setEnabled(enabled) {
         this.isEnabled = enabled;
     }
-}
\ No newline at end of file
+}
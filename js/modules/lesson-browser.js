@@ -0,0 +1,316 @@
+/**
+ * Lesson browser for picking a lesson from the catalog
+ */
+import { CONFIG } from '../config.js';
+import { DOMHelpers } from '../utils/dom-helpers.js';
+
+export class LessonBrowser {
+    constructor() {
+        // State
+        this.lessons = {};
+        this.progress = {};
+        this.currentLessonId = null;
+        this.activeLevel = 'all';
+        this.offline = null; // { lessonIds, downloading, usage }, null without offline support
+
+        // DOM elements
+        this.container = null;
+        this.filterBar = null;
+        this.lessonList = null;
+        this.storageInfo = null;
+        this.closeButton = null;
+
+        // Callbacks
+        this.onSelect = null;
+        this.onClose = null;
+        this.onDownload = null;
+        this.onRemoveDownload = null;
+    }
+
+    /**
+     * Initialize the lesson browser
+     */
+    initialize(container) {
+        this.container = container;
+        this.createLayout();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Create the browser layout
+     */
+    createLayout() {
+        this.container.innerHTML = '';
+
+        const header = DOMHelpers.createElement('div', { className: 'lesson-browser-header' });
+        header.appendChild(DOMHelpers.createElement('div', { className: 'lesson-browser-title' }, 'Lektionen'));
+
+        this.closeButton = DOMHelpers.createElement('button', {
+            className: 'hint-close lesson-browser-close',
+            title: 'Schließen\nClose'
+        }, '×');
+        header.appendChild(this.closeButton);
+
+        this.filterBar = DOMHelpers.createElement('div', { className: 'lesson-filter-bar' });
+        this.lessonList = DOMHelpers.createElement('div', { className: 'lesson-list' });
+        this.storageInfo = DOMHelpers.createElement('div', { className: 'lesson-storage-info' });
+
+        this.container.appendChild(header);
+        this.container.appendChild(this.filterBar);
+        this.container.appendChild(this.lessonList);
+        this.container.appendChild(this.storageInfo);
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        DOMHelpers.addEventListener(this.closeButton, 'click', () => {
+            this.hide();
+            if (this.onClose) this.onClose();
+        });
+
+        // Delegate clicks for filters and lesson cards
+        DOMHelpers.addEventListener(this.container, 'click', (e) => {
+            const filter = e.target.closest('.lesson-filter-btn');
+            if (filter) {
+                this.setLevel(filter.dataset.level);
+                return;
+            }
+
+            const offlineButton = e.target.closest('.lesson-offline-btn');
+            if (offlineButton) {
+                const lessonId = offlineButton.dataset.lessonId;
+                if (this.offline.downloading.has(lessonId)) return;
+
+                const callback = this.offline.lessonIds.has(lessonId) ? this.onRemoveDownload : this.onDownload;
+                if (callback) callback(lessonId);
+                return;
+            }
+
+            const card = e.target.closest('.lesson-card');
+            if (card && this.onSelect) {
+                this.onSelect(card.dataset.lessonId);
+            }
+        });
+    }
+
+    /**
+     * Show the browser with the given catalog, progress and offline state
+     */
+    show(lessons, progress = {}, currentLessonId = null, offline = null) {
+        this.lessons = lessons || {};
+        this.progress = progress || {};
+        this.currentLessonId = currentLessonId;
+        this.offline = offline;
+
+        this.render();
+        DOMHelpers.toggleClass(this.container, 'hidden', false);
+    }
+
+    /**
+     * Hide the browser
+     */
+    hide() {
+        DOMHelpers.toggleClass(this.container, 'hidden', true);
+    }
+
+    /**
+     * Check if the browser is visible
+     */
+    isVisible() {
+        return this.container ? !DOMHelpers.hasClass(this.container, 'hidden') : false;
+    }
+
+    /**
+     * Update downloaded lessons, running downloads and storage usage
+     */
+    setOffline(offline) {
+        this.offline = offline;
+        this.render();
+    }
+
+    /**
+     * Set the active level filter
+     */
+    setLevel(level) {
+        this.activeLevel = level || 'all';
+        this.render();
+    }
+
+    /**
+     * Group lessons by level, in catalog level order
+     */
+    groupByLevel() {
+        const groups = {};
+
+        Object.values(this.lessons).forEach(lesson => {
+            const level = lesson.level || 'other';
+            if (!groups[level]) {
+                groups[level] = [];
+            }
+            groups[level].push(lesson);
+        });
+
+        Object.values(groups).forEach(list => {
+            list.sort((a, b) => a.id.localeCompare(b.id, 'en', { numeric: true }));
+        });
+
+        const levels = [...CONFIG.lessonLevels, ...Object.keys(groups).filter(l => !CONFIG.lessonLevels.includes(l))];
+        return levels.filter(level => groups[level]).map(level => ({ level, lessons: groups[level] }));
+    }
+
+    /**
+     * Render filters and lesson list
+     */
+    render() {
+        const groups = this.groupByLevel();
+
+        // Level filters
+        this.filterBar.innerHTML = '';
+        ['all', ...groups.map(group => group.level)].forEach(level => {
+            const btn = DOMHelpers.createElement('button', {
+                className: 'lesson-filter-btn',
+                'data-level': level
+            }, level === 'all' ? 'Alle' : level);
+            DOMHelpers.toggleClass(btn, 'active', level === this.activeLevel);
+            this.filterBar.appendChild(btn);
+        });
+
+        // Lesson groups
+        this.lessonList.innerHTML = '';
+        groups
+            .filter(group => this.activeLevel === 'all' || group.level === this.activeLevel)
+            .forEach(group => {
+                const section = DOMHelpers.createElement('div', { className: 'lesson-group' });
+                section.appendChild(DOMHelpers.createElement('div', { className: 'lesson-group-title' }, group.level));
+
+                const grid = DOMHelpers.createElement('div', { className: 'lesson-grid' });
+                group.lessons.forEach(lesson => grid.appendChild(this.createLessonCard(lesson)));
+                section.appendChild(grid);
+
+                this.lessonList.appendChild(section);
+            });
+
+        this.renderStorageInfo();
+    }
+
+    /**
+     * Storage used by downloaded lessons and the rest of the site
+     */
+    renderStorageInfo() {
+        const usage = this.offline ? this.offline.usage : null;
+        DOMHelpers.toggleDisplay(this.storageInfo, Boolean(usage));
+        if (!usage) return;
+
+        const count = this.offline.lessonIds.size;
+        DOMHelpers.setContent(this.storageInfo,
+            `Offline: ${count} ${count === 1 ? 'Lektion' : 'Lektionen'} · ${this.formatBytes(usage.usage)} von ${this.formatBytes(usage.quota)} Speicher belegt`);
+    }
+
+    /**
+     * Format a byte count as MB or GB with a German decimal comma
+     */
+    formatBytes(bytes) {
+        const megabytes = (bytes || 0) / (1024 * 1024);
+        const text = megabytes >= 1024 ? `${(megabytes / 1024).toFixed(1)} GB` : `${megabytes.toFixed(1)} MB`;
+        return text.replace('.', ',');
+    }
+
+    /**
+     * Create a card for a single lesson, with the offline button next to it (not inside the card button)
+     */
+    createLessonCard(lesson) {
+        const wrapper = DOMHelpers.createElement('div', { className: 'lesson-card-wrapper' });
+        const card = DOMHelpers.createElement('button', {
+            className: 'lesson-card',
+            'data-lesson-id': lesson.id
+        });
+        DOMHelpers.toggleClass(card, 'current', lesson.id === this.currentLessonId);
+
+        const header = DOMHelpers.createElement('div', { className: 'lesson-card-header' });
+        header.appendChild(DOMHelpers.createElement('span', { className: 'lesson-card-title' }, lesson.title || lesson.id));
+        header.appendChild(this.createProgressBadge(this.progress[lesson.id]));
+        card.appendChild(header);
+
+        if (lesson.description) {
+            card.appendChild(DOMHelpers.createElement('div', { className: 'lesson-card-description' }, lesson.description));
+        }
+
+        // Supported modes
+        const modes = DOMHelpers.createElement('div', { className: 'lesson-card-modes' });
+        if (lesson.modes && lesson.modes.length > 0) {
+            lesson.modes.forEach(mode => {
+                modes.appendChild(DOMHelpers.createElement('span', {
+                    className: 'lesson-mode-badge',
+                    title: CONFIG.modeNames[mode] || mode
+                }, CONFIG.modeAbbreviations[mode] || mode));
+            });
+        } else {
+            // Transcript-only lessons get generated questions
+            CONFIG.questionGenerator.types.forEach(mode => {
+                modes.appendChild(DOMHelpers.createElement('span', {
+                    className: 'lesson-mode-badge generated',
+                    title: `${CONFIG.modeNames[mode] || mode} (automatisch)`
+                }, CONFIG.modeAbbreviations[mode] || mode));
+            });
+        }
+        card.appendChild(modes);
+        wrapper.appendChild(card);
+
+        if (this.offline) {
+            DOMHelpers.toggleClass(wrapper, 'has-offline', true);
+            wrapper.appendChild(this.createOfflineButton(lesson.id));
+        }
+
+        return wrapper;
+    }
+
+    /**
+     * Download button, or the offline mark that removes the download again
+     */
+    createOfflineButton(lessonId) {
+        const button = DOMHelpers.createElement('button', {
+            className: 'lesson-offline-btn',
+            'data-lesson-id': lessonId
+        });
+
+        if (this.offline.downloading.has(lessonId)) {
+            DOMHelpers.toggleClass(button, 'downloading', true);
+            button.disabled = true;
+            button.textContent = '…';
+            button.title = 'Wird heruntergeladen\nDownloading';
+            button.setAttribute('aria-label', 'Wird heruntergeladen');
+        } else if (this.offline.lessonIds.has(lessonId)) {
+            DOMHelpers.toggleClass(button, 'saved', true);
+            button.textContent = '✓ offline';
+            button.title = 'Offline verfügbar – klicken zum Entfernen\nAvailable offline – click to remove';
+            button.setAttribute('aria-label', 'Offline-Kopie entfernen');
+        } else {
+            button.textContent = '⤓';
+            button.title = 'Für offline herunterladen\nDownload for offline use';
+            button.setAttribute('aria-label', 'Für offline herunterladen');
+        }
+
+        return button;
+    }
+
+    /**
+     * Create the completion badge for a lesson
+     */
+    createProgressBadge(progress) {
+        const badge = DOMHelpers.createElement('span', { className: 'lesson-progress-badge' });
+
+        if (progress && progress.completed) {
+            DOMHelpers.toggleClass(badge, 'completed', true);
+            badge.textContent = typeof progress.accuracy === 'number' ? `✓ ${progress.accuracy}%` : '✓';
+            badge.title = 'Abgeschlossen\nCompleted';
+        } else if (progress && progress.answered > 0) {
+            DOMHelpers.toggleClass(badge, 'started', true);
+            badge.textContent = '…';
+            badge.title = 'Begonnen\nStarted';
+        }
+
+        return badge;
+    }
+}
@@ -0,0 +1,425 @@
+/**
+ * Lesson editor for cue texts and their embedded questions
+ */
+import { CONFIG } from '../config.js';
+import { DOMHelpers } from '../utils/dom-helpers.js';
+import { TextHelpers } from '../utils/text-helpers.js';
+
+// Dictation and cloze questions are generated from the transcript, not authored
+const AUTHORED_TYPES = Object.values(CONFIG.exerciseModes).filter(type =>
+    type !== CONFIG.exerciseModes.DICTATION && type !== CONFIG.exerciseModes.CLOZE
+);
+
+export class LessonEditor {
+    constructor() {
+        // State
+        this.lessonId = null;
+        this.cues = [];
+        this.isDirty = false;
+
+        // DOM elements
+        this.container = null;
+
+        // Callbacks
+        this.onChange = null;
+        this.onPlayCue = null;
+    }
+
+    /**
+     * Initialize the editor
+     */
+    initialize(container) {
+        this.container = container;
+        this.setupEventListeners();
+    }
+
+    /**
+     * Load a lesson's cues (copied, so the parsed originals stay untouched)
+     */
+    load(lessonId, cues) {
+        this.lessonId = lessonId;
+        this.cues = structuredClone(cues).map(cue => ({
+            ...cue,
+            questions: (cue.questions || []).filter(question => !question.generated)
+        }));
+        this.isDirty = false;
+        this.render();
+    }
+
+    /**
+     * Get the edited cues
+     */
+    getCues() {
+        return this.cues;
+    }
+
+    /**
+     * Setup delegated event listeners for all cue and question fields
+     */
+    setupEventListeners() {
+        DOMHelpers.addEventListener(this.container, 'input', (e) => this.handleInput(e.target));
+        DOMHelpers.addEventListener(this.container, 'change', (e) => this.handleInput(e.target));
+        DOMHelpers.addEventListener(this.container, 'click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) this.handleAction(button);
+        });
+    }
+
+    /**
+     * Write a field value back into the cue or question it belongs to
+     */
+    handleInput(target) {
+        const field = target.dataset.field;
+        if (!field) return;
+
+        const cue = this.cues[Number(target.dataset.cue)];
+        const question = target.dataset.question !== undefined ? cue.questions[Number(target.dataset.question)] : null;
+
+        switch (field) {
+            case 'text':
+                cue.text = target.value;
+                this.syncWordTimings(cue);
+                break;
+            case 'type':
+            case 'question':
+            case 'explanation':
+                question[field] = target.value;
+                break;
+            case 'option':
+                question.options[Number(target.dataset.option)] = target.value;
+                break;
+            case 'correct':
+                question.correct = Number(target.dataset.option);
+                break;
+            case 'questionTranslations':
+            case 'optionTranslations':
+                question[field] = this.parseTranslations(target.value);
+                break;
+            default:
+                return;
+        }
+
+        this.markDirty();
+    }
+
+    /**
+     * Keep word timings while the words only change in spelling; drop them once words are added or removed
+     */
+    syncWordTimings(cue) {
+        if (!cue.words) return;
+
+        const words = TextHelpers.tokenize(cue.text);
+        if (words.length === cue.words.length) {
+            cue.words.forEach((timing, index) => {
+                timing.text = words[index];
+            });
+        } else {
+            delete cue.words;
+        }
+    }
+
+    /**
+     * Handle add, remove and reorder buttons
+     */
+    handleAction(button) {
+        const { action } = button.dataset;
+        const cueIndex = Number(button.dataset.cue);
+        const cue = this.cues[cueIndex];
+        const questionIndex = Number(button.dataset.question);
+        const question = cue.questions[questionIndex];
+
+        switch (action) {
+            case 'play':
+                if (this.onPlayCue) this.onPlayCue(cue, cueIndex);
+                return;
+            case 'add-question':
+                cue.questions.push(this.createQuestion());
+                break;
+            case 'remove-question':
+                cue.questions.splice(questionIndex, 1);
+                break;
+            case 'move-up':
+            case 'move-down': {
+                const target = questionIndex + (action === 'move-up' ? -1 : 1);
+                if (target < 0 || target >= cue.questions.length) return;
+                [cue.questions[questionIndex], cue.questions[target]] = [cue.questions[target], cue.questions[questionIndex]];
+                break;
+            }
+            case 'add-option':
+                question.options.push('');
+                break;
+            case 'remove-option':
+                this.removeOption(question, Number(button.dataset.option));
+                break;
+            default:
+                return;
+        }
+
+        this.markDirty();
+        this.renderCue(cueIndex);
+    }
+
+    /**
+     * Remove an option and keep `correct` pointing at the same answer
+     */
+    removeOption(question, optionIndex) {
+        question.options.splice(optionIndex, 1);
+
+        if (question.correct === optionIndex) {
+            question.correct = 0;
+        } else if (question.correct > optionIndex) {
+            question.correct--;
+        }
+    }
+
+    /**
+     * Create an empty question
+     */
+    createQuestion() {
+        return {
+            type: CONFIG.exerciseModes.COMPREHENSION,
+            question: '',
+            options: ['', '', '', ''],
+            correct: 0,
+            explanation: ''
+        };
+    }
+
+    /**
+     * Mark unsaved changes
+     */
+    markDirty() {
+        this.isDirty = true;
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Show changed timing of a cue (edited in the waveform)
+     */
+    refreshCueTiming(cueIndex) {
+        const cue = this.cues[cueIndex];
+        const time = this.container.querySelector(`.editor-cue[data-cue="${cueIndex}"] .editor-cue-time`);
+        if (cue && time) {
+            DOMHelpers.setContent(time, `${this.formatTime(cue.start)} – ${this.formatTime(cue.end)}`);
+        }
+        this.markDirty();
+    }
+
+    /**
+     * Highlight a cue and scroll it into view
+     */
+    highlightCue(cueIndex) {
+        this.container.querySelectorAll('.editor-cue').forEach(section => {
+            DOMHelpers.toggleClass(section, 'selected', Number(section.dataset.cue) === cueIndex);
+        });
+
+        const section = this.container.querySelector(`.editor-cue[data-cue="${cueIndex}"]`);
+        if (section && section.scrollIntoView) {
+            section.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }
+
+    /**
+     * Render all cues
+     */
+    render() {
+        this.container.innerHTML = '';
+        this.cues.forEach((cue, index) => {
+            this.container.appendChild(this.createCueSection(cue, index));
+        });
+    }
+
+    /**
+     * Re-render a single cue after a structural change
+     */
+    renderCue(cueIndex) {
+        const current = this.container.querySelector(`.editor-cue[data-cue="${cueIndex}"]`);
+        if (current) {
+            current.replaceWith(this.createCueSection(this.cues[cueIndex], cueIndex));
+        }
+    }
+
+    /**
+     * Create the section for one cue: timing, text and questions
+     */
+    createCueSection(cue, cueIndex) {
+        const section = DOMHelpers.createElement('section', { className: 'editor-cue', 'data-cue': cueIndex });
+
+        const header = DOMHelpers.createElement('div', { className: 'editor-cue-header' });
+        header.appendChild(DOMHelpers.createElement('span', { className: 'editor-cue-number' }, String(cueIndex + 1)));
+        header.appendChild(DOMHelpers.createElement('span', { className: 'editor-cue-time' },
+            `${this.formatTime(cue.start)} – ${this.formatTime(cue.end)}`));
+        header.appendChild(DOMHelpers.createElement('button', {
+            className: 'toggle-btn secondary-btn',
+            title: 'Satz abspielen\nPlay sentence',
+            'data-action': 'play',
+            'data-cue': cueIndex
+        }, '▶'));
+        section.appendChild(header);
+
+        section.appendChild(DOMHelpers.createElement('textarea', {
+            className: 'editor-cue-text',
+            rows: 2,
+            value: cue.text,
+            'data-field': 'text',
+            'data-cue': cueIndex
+        }));
+
+        cue.questions.forEach((question, questionIndex) => {
+            section.appendChild(this.createQuestionCard(question, cueIndex, questionIndex, cue.questions.length));
+        });
+
+        section.appendChild(DOMHelpers.createElement('button', {
+            className: 'editor-add-btn',
+            'data-action': 'add-question',
+            'data-cue': cueIndex
+        }, '+ Frage'));
+
+        return section;
+    }
+
+    /**
+     * Create the form for one question
+     */
+    createQuestionCard(question, cueIndex, questionIndex, questionCount) {
+        const ids = { 'data-cue': cueIndex, 'data-question': questionIndex };
+        const card = DOMHelpers.createElement('div', { className: 'editor-question' });
+
+        // Type and ordering
+        const header = DOMHelpers.createElement('div', { className: 'editor-question-header' });
+        const typeSelect = DOMHelpers.createElement('select', { className: 'mode-dropdown', 'data-field': 'type', ...ids });
+        AUTHORED_TYPES.forEach(type => {
+            typeSelect.appendChild(DOMHelpers.createElement('option', { value: type }, CONFIG.modeNames[type] || type));
+        });
+        typeSelect.value = question.type;
+        header.appendChild(typeSelect);
+
+        [
+            ['move-up', '↑', 'Nach oben\nMove up', questionIndex === 0],
+            ['move-down', '↓', 'Nach unten\nMove down', questionIndex === questionCount - 1],
+            ['remove-question', '×', 'Frage löschen\nDelete question', false]
+        ].forEach(([action, label, title, disabled]) => {
+            header.appendChild(DOMHelpers.createElement('button', {
+                className: 'editor-icon-btn',
+                title: title,
+                disabled: disabled,
+                'data-action': action,
+                ...ids
+            }, label));
+        });
+        card.appendChild(header);
+
+        card.appendChild(this.createField('Frage', DOMHelpers.createElement('textarea', {
+            rows: 2,
+            value: question.question || '',
+            'data-field': 'question',
+            ...ids
+        })));
+
+        // Options with the correct answer as a radio button
+        const options = DOMHelpers.createElement('div', { className: 'editor-options' });
+        (question.options || []).forEach((option, optionIndex) => {
+            const row = DOMHelpers.createElement('div', { className: 'editor-option' });
+            row.appendChild(DOMHelpers.createElement('input', {
+                type: 'radio',
+                name: `correct-${cueIndex}-${questionIndex}`,
+                checked: question.correct === optionIndex,
+                title: 'Richtige Antwort\nCorrect answer',
+                'data-field': 'correct',
+                'data-option': optionIndex,
+                ...ids
+            }));
+            row.appendChild(DOMHelpers.createElement('input', {
+                type: 'text',
+                value: option,
+                'data-field': 'option',
+                'data-option': optionIndex,
+                ...ids
+            }));
+            row.appendChild(DOMHelpers.createElement('button', {
+                className: 'editor-icon-btn',
+                title: 'Option löschen\nDelete option',
+                'data-action': 'remove-option',
+                'data-option': optionIndex,
+                ...ids
+            }, '×'));
+            options.appendChild(row);
+        });
+        options.appendChild(DOMHelpers.createElement('button', {
+            className: 'editor-add-btn',
+            'data-action': 'add-option',
+            ...ids
+        }, '+ Option'));
+        card.appendChild(this.createField('Optionen', options));
+
+        card.appendChild(this.createField('Erklärung', DOMHelpers.createElement('textarea', {
+            rows: 2,
+            value: question.explanation || '',
+            'data-field': 'explanation',
+            ...ids
+        })));
+
+        ['questionTranslations', 'optionTranslations'].forEach(field => {
+            card.appendChild(this.createField(
+                field === 'questionTranslations' ? 'Übersetzungen (Frage)' : 'Übersetzungen (Optionen)',
+                DOMHelpers.createElement('textarea', {
+                    rows: 3,
+                    placeholder: 'Wort = translation',
+                    value: this.formatTranslations(question[field]),
+                    'data-field': field,
+                    ...ids
+                })
+            ));
+        });
+
+        return card;
+    }
+
+    /**
+     * Wrap a control with a label
+     */
+    createField(label, control) {
+        const field = DOMHelpers.createElement('label', { className: 'editor-field' });
+        field.appendChild(DOMHelpers.createElement('span', { className: 'editor-field-label' }, label));
+        field.appendChild(control);
+        return field;
+    }
+
+    /**
+     * Parse "Wort = translation" lines into a translations object
+     */
+    parseTranslations(text) {
+        const translations = {};
+
+        text.split('\n').forEach(line => {
+            const separator = line.indexOf('=');
+            if (separator === -1) return;
+
+            const word = line.slice(0, separator).trim();
+            const translation = line.slice(separator + 1).trim();
+            if (word && translation) {
+                translations[word] = translation;
+            }
+        });
+
+        return translations;
+    }
+
+    /**
+     * Format a translations object as "Wort = translation" lines
+     */
+    formatTranslations(translations) {
+        return Object.entries(translations || {})
+            .map(([word, translation]) => `${word} = ${translation}`)
+            .join('\n');
+    }
+
+    /**
+     * Format seconds as M:SS.mmm for display
+     */
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = (seconds % 60).toFixed(3).padStart(6, '0');
+        return `${minutes}:${rest}`;
+    }
+}
@@ -2,11 +2,15 @@
  * Lesson loader with extended VTT parsing for questions
  */
 import { CONFIG } from '../config.js';
+import { VTTValidator } from './vtt-validator.js';
+import { OfflineStore } from './offline-store.js';
 
 export class LessonLoader {
     constructor() {
         this.allLessons = {};
         this.isLoading = false;
+        this.validator = new VTTValidator();
+        this.offlineStore = new OfflineStore();
     }
     
     /**
@@ -21,13 +25,14 @@ export class LessonLoader {
         this.isLoading = true;
         
         try {
-            const response = await fetch(CONFIG.lessonsUrl);
+            const response = await this.fetchWithFallback(CONFIG.lessonsUrl);
             
             if (!response.ok) {
                 throw new Error(`Failed to load lessons: ${response.status} ${response.statusText}`);
             }
             
-            this.allLessons = await response.json();
+            const catalog = await response.json();
+            this.allLessons = this.normalizeCatalog(catalog);
             return this.allLessons;
             
         } catch (error) {
@@ -38,18 +43,136 @@ export class LessonLoader {
         }
     }
     
+    /**
+     * Get a lesson by id, discovering it from audio/ if the catalog lacks it
+     */
+    async getLesson(lessonId) {
+        if (this.allLessons[lessonId]) {
+            return this.allLessons[lessonId];
+        }
+        
+        if (!CONFIG.lessonIdPattern.test(lessonId)) {
+            return null;
+        }
+        
+        // Not in the manifest yet - try the MP3/VTT pair directly
+        const entry = this.createLessonEntry(lessonId);
+        try {
+            const cues = await this.loadVTTFromUrl(entry.vttUrl);
+            this.allLessons[lessonId] = this.createLessonEntry(lessonId, cues);
+            return this.allLessons[lessonId];
+        } catch (error) {
+            console.warn(`Lesson ${lessonId} could not be discovered:`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * Fill in derived fields (id, level, title, urls) for every catalog entry
+     */
+    normalizeCatalog(catalog) {
+        const lessons = {};
+        
+        Object.entries(catalog || {}).forEach(([lessonId, data]) => {
+            lessons[lessonId] = {
+                ...this.createLessonEntry(lessonId),
+                ...data,
+                id: lessonId
+            };
+        });
+        
+        return lessons;
+    }
+    
+    /**
+     * Build a catalog entry for a lesson from its id and (optionally) parsed cues
+     */
+    createLessonEntry(lessonId, cues = []) {
+        const firstText = cues.length > 0 ? cues[0].text : '';
+        
+        return {
+            id: lessonId,
+            title: firstText ? `${lessonId} - ${this.truncate(firstText, 60)}` : lessonId,
+            audioUrl: `${CONFIG.audioBaseUrl}${lessonId}.mp3`,
+            vttUrl: `${CONFIG.audioBaseUrl}${lessonId}.vtt`,
+            level: this.getLevelFromId(lessonId),
+            description: '',
+            modes: this.detectModes(cues)
+        };
+    }
+    
+    /**
+     * Derive the level from the lesson id prefix (A1, A2, B1, B2, RLB)
+     */
+    getLevelFromId(lessonId) {
+        const match = CONFIG.lessonIdPattern.exec(lessonId || '');
+        return match ? match[1] : null;
+    }
+    
+    /**
+     * Collect the exercise modes whose question types appear in the cues
+     */
+    detectModes(cues) {
+        const found = new Set();
+        
+        (cues || []).forEach(cue => {
+            (cue.questions || []).forEach(question => found.add(question.type));
+        });
+        
+        // Keep the order of CONFIG.exerciseModes
+        return Object.values(CONFIG.exerciseModes).filter(mode => found.has(mode));
+    }
+    
+    /**
+     * Shorten text to a maximum length at a word boundary
+     */
+    truncate(text, maxLength) {
+        if (text.length <= maxLength) {
+            return text;
+        }
+        
+        const cut = text.slice(0, maxLength);
+        const lastSpace = cut.lastIndexOf(' ');
+        return `${lastSpace > 0 ? cut.slice(0, lastSpace) : cut}…`;
+    }
+    
+    /**
+     * Fetch a file, falling back to the copy downloaded for offline use
+     */
+    async fetchWithFallback(url) {
+        let response = null;
+        try {
+            response = await fetch(url);
+            if (response.ok) {
+                return response;
+            }
+        } catch (error) {
+            console.warn(`Fetching ${url} failed, trying the offline copy:`, error);
+        }
+        
+        const cached = await this.offlineStore.match(url);
+        if (cached) {
+            return cached;
+        }
+        if (response) {
+            return response;
+        }
+        throw new Error(`${url} is not available offline`);
+    }
+    
     /**
      * Load and parse VTT file with embedded questions
      */
     async loadVTTFromUrl(vttUrl) {
         try {
-            const response = await fetch(vttUrl);
+            const response = await this.fetchWithFallback(vttUrl);
             
             if (!response.ok) {
                 throw new Error(`VTT file not found: ${response.status} ${response.statusText}`);
             }
             
             const vttText = await response.text();
+            this.reportProblems(vttUrl, vttText);
             const cues = this.parseVTTWithQuestions(vttText);
             
             return cues;
@@ -59,6 +182,19 @@ export class LessonLoader {
         }
     }
     
+    /**
+     * Log validation problems, so broken question blocks do not go unnoticed
+     */
+    reportProblems(vttUrl, vttText) {
+        const result = this.validator.validate(vttText);
+        const fileName = vttUrl.split('/').pop();
+        
+        result.errors.forEach(diagnostic => console.error(this.validator.formatDiagnostic(diagnostic, 'error', fileName)));
+        result.warnings.forEach(diagnostic => console.warn(this.validator.formatDiagnostic(diagnostic, 'warning', fileName)));
+        
+        return result;
+    }
+    
     /**
      * Parse VTT content with embedded JSON questions
      */
@@ -174,12 +310,24 @@ export class LessonLoader {
                 return null;
             }
             
+            // Strip cue markup (e.g. <c.gap>word</c>) and remember tagged words
+            const markup = this.parseCueText(text.trim());
+            
             const result = {
                 start: startTime,
                 end: endTime,
-                text: text.trim(),
+                text: markup.text,
                 questions: questions
             };
+            if (markup.gapWords.length > 0) {
+                result.gapWords = markup.gapWords;
+            }
+            if (markup.wordStarts.some(time => time !== null)) {
+                const words = this.buildWordTimings(markup, startTime, endTime);
+                if (words.some(word => word.start > startTime)) {
+                    result.words = words;
+                }
+            }
             
             console.log('Parsed cue:', result);
             
@@ -191,6 +339,82 @@ export class LessonLoader {
         }
     }
     
+    /**
+     * Parse WebVTT cue text markup.
+     * Returns the plain text, the indices of words tagged with <c.gap>...</c> and
+     * per word the time of an inline <00:00:01.200> timestamp before it (or null)
+     */
+    parseCueText(rawText) {
+        const tagPattern = /<(\/?)([^>\s]*)[^>]*>/g;
+        const timestampPattern = /^(\d{2,}:)?\d{2}:\d{2}\.\d{3}$/;
+        const gapRanges = [];
+        const timestamps = [];
+        let text = '';
+        let gapStart = null;
+        let lastIndex = 0;
+        let match;
+        
+        while ((match = tagPattern.exec(rawText)) !== null) {
+            text += rawText.slice(lastIndex, match.index);
+            lastIndex = tagPattern.lastIndex;
+            
+            const isClosing = match[1] === '/';
+            const classes = match[2].split('.').slice(1);
+            
+            if (timestampPattern.test(match[2])) {
+                timestamps.push({ position: text.length, time: this.parseTimeToSeconds(match[2]) });
+            } else if (!isClosing && match[2].startsWith('c') && classes.includes('gap')) {
+                gapStart = text.length;
+            } else if (isClosing && match[2] === 'c' && gapStart !== null) {
+                gapRanges.push([gapStart, text.length]);
+                gapStart = null;
+            }
+        }
+        text += rawText.slice(lastIndex);
+        
+        // Map tagged character ranges and timestamps to word indices
+        const gapWords = [];
+        const wordStarts = [];
+        const wordPattern = /\S+/g;
+        let wordIndex = 0;
+        while ((match = wordPattern.exec(text)) !== null) {
+            const wordStart = match.index;
+            const wordEnd = wordStart + match[0].length;
+            if (gapRanges.some(([start, end]) => wordStart < end && wordEnd > start)) {
+                gapWords.push(wordIndex);
+            }
+            const timestamp = timestamps.find(entry => entry.position >= wordStart && entry.position < wordEnd) ||
+                timestamps.find(entry => entry.position <= wordStart && /^\s*$/.test(text.slice(entry.position, wordStart)));
+            wordStarts.push(timestamp ? timestamp.time : null);
+            wordIndex++;
+        }
+        
+        return { text: text.trim(), gapWords: gapWords, wordStarts: wordStarts };
+    }
+    
+    /**
+     * Word timings for karaoke highlighting. A word without its own timestamp
+     * starts with the previous word (or the cue); each word ends when the next timed word starts.
+     */
+    buildWordTimings(markup, cueStart, cueEnd) {
+        const words = markup.text.split(/\s+/).filter(word => word !== '');
+        let start = cueStart;
+        
+        const timings = words.map((word, index) => {
+            const time = markup.wordStarts[index];
+            if (time !== null && time >= start && time <= cueEnd) {
+                start = time;
+            }
+            return { text: word, start: start, end: cueEnd };
+        });
+        
+        for (let i = timings.length - 2; i >= 0; i--) {
+            timings[i].end = timings[i + 1].start > timings[i].start ? timings[i + 1].start : timings[i + 1].end;
+        }
+        
+        return timings;
+    }
+    
     /**
      * Parse time string to seconds
      */
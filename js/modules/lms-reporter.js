@@ -0,0 +1,339 @@
+/**
+ * Reports answers and lesson completion to an LMS: SCORM 1.2 runtime in a parent frame, or xAPI statements to an LRS
+ */
+import { CONFIG } from '../config.js';
+import { AnswerFormatter } from './answer-formatter.js';
+
+const XAPI_VERBS = {
+    answered: { id: 'http://adlnet.gov/expapi/verbs/answered', display: { 'en-US': 'answered' } },
+    completed: { id: 'http://adlnet.gov/expapi/verbs/completed', display: { 'en-US': 'completed' } }
+};
+
+// SCORM 1.2 interaction types per question type (everything else is multiple choice)
+const SCORM_INTERACTION_TYPES = {
+    sequencing: 'sequencing',
+    dictation: 'fill-in',
+    cloze: 'fill-in'
+};
+
+export class LmsReporter {
+    constructor() {
+        this.answerFormatter = new AnswerFormatter();
+
+        // State
+        this.backend = null; // 'scorm', 'xapi' or null (reporting off)
+        this.scormApi = null;
+        this.xapi = null;
+        this.startedAt = Date.now();
+    }
+
+    /**
+     * Pick the backend: a SCORM 1.2 API in a parent frame wins over an xAPI endpoint.
+     * The xAPI launch parameters (endpoint, auth, actor, registration) may come from the URL.
+     */
+    initialize(learnerId) {
+        this.scormApi = this.findScormApi();
+        if (this.scormApi && this.scormApi.LMSInitialize('') === 'true') {
+            this.backend = 'scorm';
+            if (this.scormApi.LMSGetValue('cmi.core.lesson_status') === 'not attempted') {
+                this.setScormValue('cmi.core.lesson_status', 'incomplete');
+            }
+            this.scormApi.LMSCommit('');
+            window.addEventListener('pagehide', () => this.finishScorm());
+            console.log('LMS reporting: SCORM 1.2');
+            return;
+        }
+
+        const params = new URLSearchParams(window.location.search);
+        const endpoint = params.get('endpoint') || CONFIG.lms.xapi.endpoint;
+        if (!endpoint) return;
+
+        this.backend = 'xapi';
+        this.xapi = {
+            endpoint: endpoint.endsWith('/') ? endpoint : `${endpoint}/`,
+            auth: params.get('auth') || CONFIG.lms.xapi.auth,
+            actor: this.parseActor(params.get('actor')) || {
+                objectType: 'Agent',
+                account: { homePage: window.location.origin, name: learnerId }
+            },
+            registration: params.get('registration')
+        };
+        console.log(`LMS reporting: xAPI (${this.xapi.endpoint})`);
+    }
+
+    /**
+     * Check if answers are reported anywhere
+     */
+    isEnabled() {
+        return this.backend !== null;
+    }
+
+    /**
+     * Look for the SCORM 1.2 API object in the parent frames and the opener
+     */
+    findScormApi() {
+        const search = (start) => {
+            let win = start;
+            for (let depth = 0; win && depth < 7; depth++) {
+                try {
+                    if (win.API) return win.API;
+                } catch (error) {
+                    return null; // Cross-origin frame
+                }
+                if (win.parent === win) break;
+                win = win.parent;
+            }
+            return null;
+        };
+
+        return search(window) || (window.opener ? search(window.opener) : null);
+    }
+
+    /**
+     * Report a single answer (an entry of the app's results)
+     */
+    reportAnswer(result, cue) {
+        if (this.backend === 'scorm') {
+            this.reportScormInteraction(result, cue);
+        } else if (this.backend === 'xapi') {
+            this.sendStatement(this.createAnsweredStatement(result, cue));
+        }
+    }
+
+    /**
+     * Report a finished lesson with its score
+     */
+    reportCompletion(lessonId, score) {
+        if (this.backend === 'scorm') {
+            this.setScormValue('cmi.core.score.min', '0');
+            this.setScormValue('cmi.core.score.max', '100');
+            this.setScormValue('cmi.core.score.raw', String(score.accuracy));
+            this.setScormValue('cmi.core.lesson_status', this.isPassed(score) ? 'passed' : 'failed');
+            this.scormApi.LMSCommit('');
+        } else if (this.backend === 'xapi') {
+            this.sendStatement(this.createCompletedStatement(lessonId, score));
+        }
+    }
+
+    /**
+     * Pass or fail: an exam brings its own verdict, a lesson is passed from CONFIG.lms.masteryScore
+     */
+    isPassed(score) {
+        return typeof score.passed === 'boolean' ? score.passed : score.accuracy >= CONFIG.lms.masteryScore;
+    }
+
+    /**
+     * Store an answer as the next cmi.interactions entry
+     */
+    reportScormInteraction(result, cue) {
+        const index = Number(this.scormApi.LMSGetValue('cmi.interactions._count')) || 0;
+        const prefix = `cmi.interactions.${index}`;
+        const type = SCORM_INTERACTION_TYPES[result.questionType] || 'choice';
+        const time = new Date(result.time);
+
+        this.setScormValue(`${prefix}.id`, `${result.lessonId}_s${result.sentenceIndex + 1}_${result.questionType}_q${(result.questionIndex || 0) + 1}`);
+        this.setScormValue(`${prefix}.type`, type);
+        this.setScormValue(`${prefix}.time`, time.toTimeString().slice(0, 8));
+        this.setScormValue(`${prefix}.student_response`, this.formatScormResponse(type, result, cue));
+        this.setScormValue(`${prefix}.result`, result.correct ? 'correct' : 'wrong');
+        this.setScormValue(`${prefix}.weighting`, '1');
+        this.scormApi.LMSCommit('');
+    }
+
+    /**
+     * SCORM 1.2 student_response: option letters for choice ("b") and sequencing ("c,a,b"),
+     * the typed text only for fill-in
+     */
+    formatScormResponse(type, result, cue) {
+        const selected = result.selectedAnswer;
+        const toLetter = (index) => String.fromCharCode(97 + index);
+
+        if (type === 'fill-in') {
+            return String(this.answerFormatter.format(result.question || {}, selected, cue).chosen).slice(0, 255);
+        }
+        if (type === 'sequencing') {
+            return Array.isArray(selected) ? selected.filter(Number.isInteger).map(toLetter).join(',') : '';
+        }
+        return Number.isInteger(selected) ? toLetter(selected) : '';
+    }
+
+    /**
+     * Set a SCORM value and log the runtime's error if it refuses it
+     */
+    setScormValue(element, value) {
+        if (this.scormApi.LMSSetValue(element, value) !== 'true') {
+            const code = this.scormApi.LMSGetLastError();
+            console.warn(`SCORM refused ${element}: ${code} ${this.scormApi.LMSGetErrorString(code)}`);
+        }
+    }
+
+    /**
+     * Record the session time and close the SCORM session
+     */
+    finishScorm() {
+        if (this.backend !== 'scorm') return;
+
+        this.setScormValue('cmi.core.session_time', this.formatScormDuration(Date.now() - this.startedAt));
+        this.scormApi.LMSCommit('');
+        this.scormApi.LMSFinish('');
+        this.backend = null;
+    }
+
+    /**
+     * SCORM 1.2 timespan (HHHH:MM:SS)
+     */
+    formatScormDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        return `${pad(Math.floor(seconds / 3600), 4)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+    }
+
+    /**
+     * "answered" statement for a question, with the mode in the context
+     */
+    createAnsweredStatement(result, cue) {
+        const question = result.question || {};
+        const answers = this.answerFormatter.format(question, result.selectedAnswer, cue);
+        const points = result.points ?? (result.correct ? 1 : 0);
+
+        return {
+            actor: this.xapi.actor,
+            verb: XAPI_VERBS.answered,
+            object: {
+                objectType: 'Activity',
+                id: `${this.getLessonActivityId(result.lessonId)}/sentence/${result.sentenceIndex + 1}/${result.questionType}/${(result.questionIndex || 0) + 1}`,
+                definition: {
+                    type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+                    name: { 'de-DE': question.question || (cue ? cue.text : result.questionType) },
+                    interactionType: SCORM_INTERACTION_TYPES[result.questionType] || 'choice'
+                }
+            },
+            result: {
+                success: Boolean(result.correct),
+                response: String(answers.chosen),
+                score: { raw: points, min: 0, max: 1, scaled: points }
+            },
+            context: this.createContext(result.questionType, result.lessonId, {
+                hintLevel: result.hintLevel || 0,
+                review: Boolean(result.review)
+            }),
+            timestamp: new Date(result.time).toISOString()
+        };
+    }
+
+    /**
+     * "completed" statement for a lesson, with the score per mode in the context
+     */
+    createCompletedStatement(lessonId, score) {
+        const modes = Object.keys(score.byMode);
+
+        return {
+            actor: this.xapi.actor,
+            verb: XAPI_VERBS.completed,
+            object: {
+                objectType: 'Activity',
+                id: this.getLessonActivityId(lessonId),
+                definition: {
+                    type: 'http://adlnet.gov/expapi/activities/lesson',
+                    name: { 'de-DE': lessonId }
+                }
+            },
+            result: {
+                completion: true,
+                success: this.isPassed(score),
+                score: { raw: score.correct, min: 0, max: score.total, scaled: score.total > 0 ? score.correct / score.total : 0 },
+                duration: this.formatISODuration(Date.now() - this.startedAt)
+            },
+            context: this.createContext(modes.length === 1 ? modes[0] : 'mixed', null, {
+                points: score.points,
+                byMode: score.byMode
+            }),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Statement context: mode and details as extensions, the lesson as parent activity
+     */
+    createContext(mode, parentLessonId, details) {
+        const context = {
+            platform: CONFIG.embed.source,
+            language: 'de-DE',
+            extensions: {
+                [`${CONFIG.lms.extensionBase}/mode`]: mode
+            }
+        };
+        Object.entries(details).forEach(([key, value]) => {
+            context.extensions[`${CONFIG.lms.extensionBase}/${key}`] = value;
+        });
+        if (parentLessonId) {
+            context.contextActivities = { parent: [{ objectType: 'Activity', id: this.getLessonActivityId(parentLessonId) }] };
+        }
+        if (this.xapi.registration) {
+            context.registration = this.xapi.registration;
+        }
+        return context;
+    }
+
+    /**
+     * Activity id of a lesson
+     */
+    getLessonActivityId(lessonId) {
+        return `${CONFIG.lms.activityBase}/${encodeURIComponent(lessonId)}`;
+    }
+
+    /**
+     * ISO 8601 duration (PT1M5S)
+     */
+    formatISODuration(ms) {
+        return `PT${Math.round(ms / 1000)}S`;
+    }
+
+    /**
+     * Post a statement to the LRS (failures are logged, the learner is not interrupted)
+     */
+    async sendStatement(statement) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Experience-API-Version': CONFIG.lms.xapi.version
+        };
+        if (this.xapi.auth) {
+            headers.Authorization = this.xapi.auth;
+        }
+
+        try {
+            const response = await fetch(`${this.xapi.endpoint}statements`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(statement),
+                keepalive: true
+            });
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+        } catch (error) {
+            console.error('Failed to send xAPI statement:', error);
+        }
+    }
+
+    /**
+     * Actor from the launch URL (JSON), or null
+     */
+    parseActor(value) {
+        if (!value) return null;
+        try {
+            const actor = JSON.parse(value);
+            // TinCan launch links send name, mbox and account as arrays, with the old account field names
+            Object.keys(actor).forEach(key => {
+                if (Array.isArray(actor[key])) actor[key] = actor[key][0];
+            });
+            if (actor.account && actor.account.accountName) {
+                actor.account = { homePage: actor.account.accountServiceHomePage, name: actor.account.accountName };
+            }
+            return { objectType: 'Agent', ...actor };
+        } catch (error) {
+            console.warn('Ignoring invalid xAPI actor:', error);
+            return null;
+        }
+    }
+}
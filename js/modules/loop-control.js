@@ -0,0 +1,179 @@
+/**
+ * A-B loop bar: loop markers over the sentence timeline, repetitions and pause
+ */
+import { CONFIG } from '../config.js';
+import { DOMHelpers } from '../utils/dom-helpers.js';
+
+export class LoopControl {
+    constructor() {
+        // DOM elements
+        this.container = null;
+        this.button = null;
+        this.track = null;
+        this.label = null;
+        this.repeatSelect = null;
+        this.gapSelect = null;
+
+        // Callbacks
+        this.onMark = null;
+        this.onClear = null;
+        this.onOptionsChange = null;
+    }
+
+    /**
+     * Initialize the loop bar; the button marks A, then B, then clears the loop
+     */
+    initialize(container, button) {
+        this.container = container;
+        this.button = button;
+        this.createLayout();
+        this.setupEventListeners();
+        this.hide();
+    }
+
+    /**
+     * Create the loop bar layout
+     */
+    createLayout() {
+        this.container.innerHTML = '';
+
+        this.track = DOMHelpers.createElement('div', { className: 'loop-track' });
+        this.label = DOMHelpers.createElement('span', { className: 'loop-label' });
+
+        this.repeatSelect = DOMHelpers.createElement('select', {
+            className: 'mode-dropdown loop-select',
+            title: 'Wiederholungen\nRepetitions'
+        });
+        CONFIG.abLoop.repeats.forEach(repeat => {
+            this.repeatSelect.appendChild(DOMHelpers.createElement('option', { value: repeat }, repeat === 0 ? '∞' : `${repeat}×`));
+        });
+
+        this.gapSelect = DOMHelpers.createElement('select', {
+            className: 'mode-dropdown loop-select',
+            title: 'Pause zwischen den Wiederholungen\nPause between repetitions'
+        });
+        CONFIG.abLoop.gaps.forEach(gap => {
+            this.gapSelect.appendChild(DOMHelpers.createElement('option', { value: gap }, `${this.formatSeconds(gap)} s`));
+        });
+
+        const clearButton = DOMHelpers.createElement('button', {
+            className: 'loop-clear-btn',
+            title: 'Schleife löschen\nClear loop'
+        }, '×');
+        DOMHelpers.addEventListener(clearButton, 'click', () => {
+            if (this.onClear) this.onClear();
+        });
+
+        this.container.appendChild(this.track);
+        this.container.appendChild(this.label);
+        this.container.appendChild(this.repeatSelect);
+        this.container.appendChild(this.gapSelect);
+        this.container.appendChild(clearButton);
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        DOMHelpers.addEventListener(this.button, 'click', () => {
+            if (this.onMark) this.onMark();
+        });
+
+        DOMHelpers.addEventListener(this.repeatSelect, 'change', () => {
+            if (this.onOptionsChange) this.onOptionsChange({ repeat: Number(this.repeatSelect.value) });
+        });
+
+        DOMHelpers.addEventListener(this.gapSelect, 'change', () => {
+            if (this.onOptionsChange) this.onOptionsChange({ gap: Number(this.gapSelect.value) });
+        });
+    }
+
+    /**
+     * Show the loop points over the sentences they cover
+     */
+    render(loop, options, cues, cueIndex) {
+        const isSet = Boolean(loop) && loop.end !== null;
+        DOMHelpers.toggleClass(this.button, 'loop-marking', Boolean(loop) && !isSet);
+        DOMHelpers.toggleClass(this.button, 'loop-active', isSet);
+        this.button.title = !loop
+            ? 'A-B-Schleife: Punkt A setzen\nA-B loop: set point A'
+            : isSet ? 'Schleife löschen\nClear loop' : 'Punkt B setzen\nSet point B';
+
+        if (!loop) {
+            this.hide();
+            return;
+        }
+
+        this.repeatSelect.value = options.repeat;
+        this.gapSelect.value = options.gap;
+
+        // Timeline from the current sentence stretched to both loop points
+        const cue = cues[cueIndex];
+        const points = [loop.start, loop.end ?? loop.start];
+        if (cue) points.push(cue.start, cue.end);
+        const rangeStart = Math.min(...points);
+        const rangeEnd = Math.max(...points);
+        const length = Math.max(rangeEnd - rangeStart, 0.001);
+        const toPercent = (time) => `${((time - rangeStart) / length) * 100}%`;
+
+        this.track.innerHTML = '';
+        cues.filter(c => c.start > rangeStart && c.start < rangeEnd).forEach(c => {
+            const tick = DOMHelpers.createElement('div', { className: 'loop-cue-boundary' });
+            tick.style.left = toPercent(c.start);
+            this.track.appendChild(tick);
+        });
+
+        if (isSet) {
+            const region = DOMHelpers.createElement('div', { className: 'loop-region' });
+            region.style.left = toPercent(loop.start);
+            region.style.width = `${((loop.end - loop.start) / length) * 100}%`;
+            this.track.appendChild(region);
+        }
+
+        [['A', loop.start], ['B', loop.end]].forEach(([name, time]) => {
+            if (time === null) return;
+            const marker = DOMHelpers.createElement('div', { className: 'loop-marker' }, name);
+            marker.style.left = toPercent(time);
+            this.track.appendChild(marker);
+        });
+
+        let text = `A ${this.formatSeconds(loop.start)} s`;
+        if (isSet) {
+            const total = options.repeat === 0 ? '∞' : options.repeat;
+            text += ` – B ${this.formatSeconds(loop.end)} s · ${loop.played}/${total}`;
+        } else {
+            text += ' – B?';
+        }
+        DOMHelpers.setContent(this.label, text);
+
+        this.show();
+    }
+
+    /**
+     * Format seconds with one decimal and a German decimal comma
+     */
+    formatSeconds(seconds) {
+        return seconds.toFixed(1).replace('.', ',');
+    }
+
+    /**
+     * Show the loop bar
+     */
+    show() {
+        DOMHelpers.toggleDisplay(this.container, true, 'flex');
+    }
+
+    /**
+     * Hide the loop bar
+     */
+    hide() {
+        DOMHelpers.toggleDisplay(this.container, false);
+    }
+
+    /**
+     * Check if the loop bar is visible
+     */
+    isVisible() {
+        return this.container && this.container.style.display !== 'none';
+    }
+}
@@ -0,0 +1,100 @@
+/**
+ * Offline use: registers the service worker and keeps downloaded lessons in Cache Storage
+ */
+import { CONFIG } from '../config.js';
+
+export class OfflineStore {
+    /**
+     * Check if the browser can keep lessons offline
+     */
+    isSupported() {
+        return typeof caches !== 'undefined';
+    }
+
+    /**
+     * Register the service worker that caches the app shell and serves downloaded lessons
+     */
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        try {
+            await navigator.serviceWorker.register(CONFIG.offline.serviceWorkerUrl);
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+        }
+    }
+
+    /**
+     * Files that make up a lesson
+     */
+    getLessonUrls(lesson) {
+        return [lesson.audioUrl, lesson.vttUrl];
+    }
+
+    /**
+     * Download a lesson's MP3 and VTT into the cache, with the catalog so the lesson browser works offline
+     */
+    async downloadLesson(lesson) {
+        const cache = await caches.open(CONFIG.offline.lessonCache);
+
+        for (const url of [...this.getLessonUrls(lesson), CONFIG.lessonsUrl]) {
+            const response = await fetch(url, { mode: 'cors' });
+            if (!response.ok) {
+                throw new Error(`Download failed: ${response.status} ${response.statusText}`);
+            }
+            await cache.put(url, response);
+        }
+
+        // Ask the browser not to evict the downloads when storage runs low
+        if (navigator.storage && navigator.storage.persist) {
+            await navigator.storage.persist();
+        }
+        console.log(`Lesson ${lesson.id} available offline`);
+    }
+
+    /**
+     * Remove a downloaded lesson
+     */
+    async removeLesson(lesson) {
+        const cache = await caches.open(CONFIG.offline.lessonCache);
+        await Promise.all(this.getLessonUrls(lesson).map(url => cache.delete(url)));
+    }
+
+    /**
+     * Ids of the lessons whose MP3 and VTT are both downloaded
+     */
+    async getOfflineLessonIds(lessons) {
+        const lessonIds = new Set();
+        if (!this.isSupported()) return lessonIds;
+
+        const cache = await caches.open(CONFIG.offline.lessonCache);
+        const cachedUrls = new Set((await cache.keys()).map(request => request.url));
+
+        Object.values(lessons).forEach(lesson => {
+            if (this.getLessonUrls(lesson).every(url => cachedUrls.has(url))) {
+                lessonIds.add(lesson.id);
+            }
+        });
+        return lessonIds;
+    }
+
+    /**
+     * Storage used by this site and the quota, in bytes (null if the browser does not tell)
+     */
+    async getStorageUsage() {
+        if (!navigator.storage || !navigator.storage.estimate) return null;
+
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage, quota };
+    }
+
+    /**
+     * Cached copy of a file, or null
+     */
+    async match(url) {
+        if (!this.isSupported()) return null;
+
+        const response = await caches.match(url);
+        return response || null;
+    }
+}
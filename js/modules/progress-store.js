@@ -0,0 +1,304 @@
+/**
+ * Persistent learner progress (IndexedDB with localStorage fallback)
+ */
+import { CONFIG } from '../config.js';
+
+export class ProgressStore {
+    constructor() {
+        this.db = null;
+        this.backend = null; // 'indexeddb' | 'localstorage' | 'memory'
+        this.memory = {};
+    }
+
+    /**
+     * Open the database, falling back to localStorage if IndexedDB is unavailable
+     */
+    async initialize() {
+        try {
+            this.db = await this.openDatabase();
+            this.backend = 'indexeddb';
+        } catch (error) {
+            console.warn('IndexedDB unavailable, using localStorage for progress:', error);
+            this.backend = this.isLocalStorageAvailable() ? 'localstorage' : 'memory';
+        }
+
+        return this.backend;
+    }
+
+    /**
+     * Open (and upgrade) the IndexedDB database
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(CONFIG.progressDb.name, CONFIG.progressDb.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                // Create any store that is missing, so every version bump only adds stores
+                Object.entries(CONFIG.progressDb.stores).forEach(([name, options]) => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        const store = db.createObjectStore(name, options.key);
+                        (options.indexes || []).forEach(index => store.createIndex(index, index));
+                    }
+                });
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Progress database is blocked by another tab'));
+        });
+    }
+
+    /**
+     * Check if localStorage can be written
+     */
+    isLocalStorageAvailable() {
+        try {
+            const testKey = `${CONFIG.storageKeys.progress}.test`;
+            localStorage.setItem(testKey, '1');
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Record a single answer
+     */
+    async addAnswer(record) {
+        const entry = { ...record, time: record.time || Date.now() };
+
+        if (this.backend === 'indexeddb') {
+            await this.runTransaction('answers', 'readwrite', store => store.add(entry));
+            return entry;
+        }
+
+        const answers = this.readFallback('answers', []);
+        answers.push(entry);
+        this.writeFallback('answers', answers);
+        return entry;
+    }
+
+    /**
+     * Get recorded answers, optionally for a single lesson
+     */
+    async getAnswers(lessonId = null) {
+        let answers;
+
+        if (this.backend === 'indexeddb') {
+            answers = await this.runTransaction('answers', 'readonly', store => (
+                lessonId ? store.index('lessonId').getAll(lessonId) : store.getAll()
+            ));
+        } else {
+            answers = this.readFallback('answers', [])
+                .filter(answer => !lessonId || answer.lessonId === lessonId);
+        }
+
+        return answers.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Merge imported answers, skipping answers that are already stored; returns the number added
+     */
+    async importAnswers(records) {
+        const answerKey = (answer) => `${answer.lessonId}:${answer.sentenceIndex}:${answer.questionType}:${answer.time}`;
+        const known = new Set((await this.getAnswers()).map(answerKey));
+        let added = 0;
+
+        for (const record of records) {
+            const { id, ...answer } = record;
+            if (known.has(answerKey(answer))) continue;
+
+            await this.addAnswer(answer);
+            known.add(answerKey(answer));
+            added++;
+        }
+
+        return added;
+    }
+
+    /**
+     * Merge state for a lesson (cue index, mode, completion)
+     */
+    async saveLessonState(lessonId, update) {
+        const merge = (previous) => ({ ...previous, ...update, lessonId: lessonId, updatedAt: Date.now() });
+        let state;
+
+        if (this.backend === 'indexeddb') {
+            // Read and write in one transaction so concurrent updates are not lost
+            await this.runTransaction('lessons', 'readwrite', store => {
+                const request = store.get(lessonId);
+                request.onsuccess = () => {
+                    state = merge(request.result);
+                    store.put(state);
+                };
+                return request;
+            });
+        } else {
+            const lessons = this.readFallback('lessons', {});
+            state = merge(lessons[lessonId]);
+            lessons[lessonId] = state;
+            this.writeFallback('lessons', lessons);
+        }
+
+        return state;
+    }
+
+    /**
+     * Get stored state for a lesson
+     */
+    async getLessonState(lessonId) {
+        if (this.backend === 'indexeddb') {
+            const state = await this.runTransaction('lessons', 'readonly', store => store.get(lessonId));
+            return state || null;
+        }
+
+        return this.readFallback('lessons', {})[lessonId] || null;
+    }
+
+    /**
+     * Get stored state for all lessons, keyed by lesson id
+     */
+    async getAllLessonStates() {
+        if (this.backend === 'indexeddb') {
+            const states = await this.runTransaction('lessons', 'readonly', store => store.getAll());
+            return Object.fromEntries(states.map(state => [state.lessonId, state]));
+        }
+
+        return this.readFallback('lessons', {});
+    }
+
+    /**
+     * Get a review item by id
+     */
+    async getReviewItem(itemId) {
+        if (this.backend === 'indexeddb') {
+            const item = await this.runTransaction('reviews', 'readonly', store => store.get(itemId));
+            return item || null;
+        }
+
+        return this.readFallback('reviews', {})[itemId] || null;
+    }
+
+    /**
+     * Store a review item
+     */
+    async saveReviewItem(item) {
+        if (this.backend === 'indexeddb') {
+            await this.runTransaction('reviews', 'readwrite', store => store.put(item));
+            return item;
+        }
+
+        const reviews = this.readFallback('reviews', {});
+        reviews[item.id] = item;
+        this.writeFallback('reviews', reviews);
+        return item;
+    }
+
+    /**
+     * Get review items that are due, most overdue first
+     */
+    async getDueReviewItems(now = Date.now()) {
+        let items;
+
+        if (this.backend === 'indexeddb') {
+            items = await this.runTransaction('reviews', 'readonly', store => (
+                store.index('dueAt').getAll(IDBKeyRange.upperBound(now))
+            ));
+        } else {
+            items = Object.values(this.readFallback('reviews', {})).filter(item => item.dueAt <= now);
+        }
+
+        return items.sort((a, b) => a.dueAt - b.dueAt);
+    }
+
+    /**
+     * Get a learner setting (e.g. playback speed per level)
+     */
+    async getSetting(key, defaultValue = null) {
+        let entry;
+
+        if (this.backend === 'indexeddb') {
+            entry = await this.runTransaction('settings', 'readonly', store => store.get(key));
+        } else {
+            entry = this.readFallback('settings', {})[key];
+        }
+
+        return entry ? entry.value : defaultValue;
+    }
+
+    /**
+     * Store a learner setting
+     */
+    async saveSetting(key, value) {
+        const entry = { key: key, value: value, updatedAt: Date.now() };
+
+        if (this.backend === 'indexeddb') {
+            await this.runTransaction('settings', 'readwrite', store => store.put(entry));
+            return entry;
+        }
+
+        const settings = this.readFallback('settings', {});
+        settings[key] = entry;
+        this.writeFallback('settings', settings);
+        return entry;
+    }
+
+    /**
+     * Run a single request in an IndexedDB transaction
+     */
+    runTransaction(storeName, mode, createRequest) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, mode);
+            const request = createRequest(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Read a value from the fallback storage
+     */
+    readFallback(name, defaultValue) {
+        const key = `${CONFIG.storageKeys.progress}.${name}`;
+
+        if (this.backend === 'memory') {
+            return key in this.memory ? this.memory[key] : defaultValue;
+        }
+
+        try {
+            const value = localStorage.getItem(key);
+            return value ? JSON.parse(value) : defaultValue;
+        } catch (error) {
+            console.warn(`Failed to read ${key}:`, error);
+            return defaultValue;
+        }
+    }
+
+    /**
+     * Write a value to the fallback storage
+     */
+    writeFallback(name, value) {
+        const key = `${CONFIG.storageKeys.progress}.${name}`;
+
+        if (this.backend === 'memory') {
+            this.memory[key] = value;
+            return;
+        }
+
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.error(`Failed to write ${key}:`, error);
+        }
+    }
+}
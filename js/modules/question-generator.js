@@ -0,0 +1,284 @@
+/**
+ * Rule-based question generator for transcript-only cues
+ * (sequencing, gap fill and phonetic questions)
+ */
+import { CONFIG } from '../config.js';
+import { TextHelpers } from '../utils/text-helpers.js';
+import { ClozeGenerator } from './cloze-generator.js';
+
+// Sound contrasts used to build minimal-pair options (first match is swapped)
+const MINIMAL_PAIRS = [
+    [/ü/, 'u'], [/(?<![aeä])u/, 'ü'], [/ü/, 'i'], [/(?<![aeä])i(?!e)/, 'ü'],
+    [/ö/, 'o'], [/(?<![aeä])o/, 'ö'], [/ö/, 'e'],
+    [/ie/, 'ei'], [/ei/, 'ie'], [/eu/, 'ei'], [/ei/, 'eu'],
+    [/(?<!s)ch/, 'sch'], [/(?<=.)sch/, 'ch'],
+    // Final b/d/g sound like p/t/k, so only swap before another letter
+    [/b(?=\p{L})/u, 'p'], [/p(?=\p{L})/u, 'b'], [/d(?=\p{L})/u, 't'], [/t(?=\p{L})/u, 'd'],
+    [/g(?=\p{L})/u, 'k'], [/k(?=\p{L})/u, 'g'],
+    // Short vowel before a double consonant vs. long vowel
+    [/([fklmnprt])\1/, '$1']
+];
+
+export class QuestionGenerator {
+    constructor() {
+        this.clozeGenerator = new ClozeGenerator();
+    }
+
+    /**
+     * Add generated questions to every cue without authored questions;
+     * authored cues are left alone so hand-written lessons get no machine questions mixed in
+     */
+    addGeneratedQuestions(cues) {
+        const vocabulary = this.buildVocabulary(cues);
+
+        cues.forEach(cue => {
+            if (cue.questions && cue.questions.length > 0) return;
+
+            const random = this.createRandom(cue.text);
+            const generated = [];
+
+            CONFIG.questionGenerator.types.forEach(type => {
+                const question = this.generateQuestion(type, cue, vocabulary, random);
+                if (question) {
+                    generated.push(question);
+                }
+            });
+
+            cue.questions = generated;
+        });
+
+        return cues;
+    }
+
+    /**
+     * Generate one question of a type, or null if the sentence does not allow it
+     */
+    generateQuestion(type, cue, vocabulary, random) {
+        switch (type) {
+            case CONFIG.exerciseModes.SEQUENCING:
+                return this.generateSequencing(cue, random);
+            case CONFIG.exerciseModes.GAP_FILL:
+                return this.generateGapFill(cue, vocabulary, random);
+            case CONFIG.exerciseModes.PHONETIC:
+                return this.generatePhonetic(cue, random);
+            default:
+                console.warn('No generator for question type:', type);
+                return null;
+        }
+    }
+
+    /**
+     * Word-order scramble in the " - " option format used by SequencingController
+     */
+    generateSequencing(cue, random) {
+        // Dashes and other punctuation-only tokens would end up as chunks of their own
+        const words = TextHelpers.tokenize(cue.text).filter(word => TextHelpers.stripPunctuation(word) !== '');
+        const chunks = this.chunkSentence(words);
+        if (chunks.length < 3) return null;
+
+        const correctOption = chunks.join(' - ');
+        const options = new Set([correctOption]);
+
+        // Distractors: shuffled chunk orders
+        for (let attempt = 0; attempt < 20 && options.size < 4; attempt++) {
+            options.add(this.shuffle(chunks, random).join(' - '));
+        }
+        if (options.size < 2) return null;
+
+        const shuffled = this.shuffle([...options], random);
+
+        return {
+            type: CONFIG.exerciseModes.SEQUENCING,
+            question: 'Was ist die richtige Reihenfolge im Satz?',
+            options: shuffled,
+            correct: shuffled.indexOf(correctOption),
+            explanation: `Originalsatz: '${cue.text}'`,
+            generated: true
+        };
+    }
+
+    /**
+     * Four-option gap fill with distractors from the lesson's own vocabulary
+     */
+    generateGapFill(cue, vocabulary, random) {
+        const words = TextHelpers.tokenize(cue.text);
+        const sentenceWords = new Set(words.map(word => TextHelpers.normalizeWord(word)));
+
+        // Prefer verbs, then any content word that is not sentence-initial
+        const candidates = words
+            .map((word, index) => ({ word: TextHelpers.stripPunctuation(word), index }))
+            .filter(({ word }) => word.length >= 3 && !TextHelpers.isFunctionWord(word));
+        if (candidates.length === 0) return null;
+
+        const verbs = candidates.filter(({ word, index }) => this.getWordKind(word, index, words) === 'verb');
+        const pool = verbs.length > 0 ? verbs : candidates.filter(({ index }) => index > 0);
+        if (pool.length === 0) return null;
+
+        const target = pool[Math.floor(random() * pool.length)];
+        const kind = this.getWordKind(target.word, target.index, words);
+
+        // Distractors of the same word kind, closest in length first
+        const distractors = this.shuffle(vocabulary, random)
+            .filter(entry => entry.kind === kind && !sentenceWords.has(TextHelpers.normalizeWord(entry.word)))
+            .sort((a, b) => Math.abs(a.word.length - target.word.length) - Math.abs(b.word.length - target.word.length))
+            .slice(0, 3)
+            .map(entry => entry.word);
+        if (distractors.length < 3) return null;
+
+        const options = this.shuffle([target.word, ...distractors], random);
+        const gapText = words
+            .map((word, index) => (index === target.index ? word.replace(target.word, '_____') : word))
+            .join(' ');
+
+        return {
+            type: CONFIG.exerciseModes.GAP_FILL,
+            question: `Welches Wort fehlt? '${gapText}'`,
+            options: options,
+            correct: options.indexOf(target.word),
+            explanation: `Im Satz: '${cue.text}'`,
+            generated: true
+        };
+    }
+
+    /**
+     * Minimal-pair question: which of these similar-sounding words is in the sentence?
+     */
+    generatePhonetic(cue, random) {
+        const candidates = TextHelpers.tokenize(cue.text)
+            .map(word => TextHelpers.stripPunctuation(word))
+            .filter(word => word.length >= 4)
+            .map(word => ({ word, variants: this.getMinimalPairs(word) }))
+            .filter(({ variants }) => variants.length >= 2);
+        if (candidates.length === 0) return null;
+
+        // Words with the most contrasts make the best questions
+        const maxVariants = Math.max(...candidates.map(c => c.variants.length));
+        const best = candidates.filter(c => c.variants.length === maxVariants);
+        const target = best[Math.floor(random() * best.length)];
+
+        const variants = this.shuffle(target.variants, random).slice(0, 3);
+        const options = this.shuffle([target.word, ...variants], random);
+
+        return {
+            type: CONFIG.exerciseModes.PHONETIC,
+            question: 'Welches Wort hörst du im Satz?',
+            options: options,
+            correct: options.indexOf(target.word),
+            explanation: `Im Satz: '${target.word}'`,
+            generated: true
+        };
+    }
+
+    /**
+     * Build minimal-pair variants of a word by swapping one sound
+     */
+    getMinimalPairs(word) {
+        const lower = word.toLowerCase();
+        const isCapitalized = word[0] !== lower[0];
+        const variants = new Set();
+
+        MINIMAL_PAIRS.forEach(([pattern, replacement]) => {
+            let variant = lower.replace(pattern, replacement);
+            if (variant === lower) return;
+
+            if (isCapitalized) {
+                variant = variant[0].toUpperCase() + variant.slice(1);
+            }
+            variants.add(variant);
+        });
+
+        return [...variants];
+    }
+
+    /**
+     * Split a sentence into 3-5 chunks, keeping function words with the next word.
+     * Punctuation at the chunk edges is dropped, since a comma or full stop gives the order away.
+     */
+    chunkSentence(words) {
+        const chunks = [];
+        let pending = [];
+
+        words.forEach((word, index) => {
+            pending.push(word);
+            const isLast = index === words.length - 1;
+            if (isLast || !TextHelpers.isFunctionWord(TextHelpers.stripPunctuation(word))) {
+                chunks.push(pending.join(' '));
+                pending = [];
+            }
+        });
+
+        // Merge neighbouring chunks until there are at most five
+        while (chunks.length > CONFIG.questionGenerator.maxSegments) {
+            let shortest = 0;
+            for (let i = 1; i < chunks.length - 1; i++) {
+                if (chunks[i].length + chunks[i + 1].length < chunks[shortest].length + chunks[shortest + 1].length) {
+                    shortest = i;
+                }
+            }
+            chunks.splice(shortest, 2, `${chunks[shortest]} ${chunks[shortest + 1]}`);
+        }
+
+        return chunks.map(chunk => TextHelpers.stripPunctuation(chunk));
+    }
+
+    /**
+     * Collect the distinct words of a lesson with their kind, for distractors
+     */
+    buildVocabulary(cues) {
+        const seen = new Map();
+
+        cues.forEach(cue => {
+            const words = TextHelpers.tokenize(cue.text);
+            words.forEach((word, index) => {
+                const stripped = TextHelpers.stripPunctuation(word);
+                // Skip sentence-initial words: their capitalization says nothing about the kind
+                if (index === 0 || stripped.length < 3 || TextHelpers.isFunctionWord(stripped)) return;
+
+                const key = TextHelpers.normalizeWord(stripped);
+                if (!seen.has(key)) {
+                    seen.set(key, { word: stripped, kind: this.getWordKind(stripped, index, words) });
+                }
+            });
+        });
+
+        return [...seen.values()];
+    }
+
+    /**
+     * Rough word kind: 'verb', 'noun' (capitalized) or 'other'
+     */
+    getWordKind(word, index, words) {
+        if (this.clozeGenerator.isLikelyVerb(word, index, words)) return 'verb';
+        return word[0] !== word[0].toLowerCase() ? 'noun' : 'other';
+    }
+
+    /**
+     * Shuffle a copy of an array
+     */
+    shuffle(items, random) {
+        const copy = [...items];
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+
+    /**
+     * Seeded random generator, so a sentence always gets the same questions
+     */
+    createRandom(seedText) {
+        let seed = 0;
+        for (let i = 0; i < seedText.length; i++) {
+            seed = (Math.imul(31, seed) + seedText.charCodeAt(i)) | 0;
+        }
+
+        // mulberry32
+        return () => {
+            seed = (seed + 0x6D2B79F5) | 0;
+            let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
@@ -5,6 +5,8 @@ import { CONFIG } from '../config.js';
 import { DOMHelpers } from '../utils/dom-helpers.js';
 
 import { SequencingController } from './sequencing-controller.js';
+import { DictationController } from './dictation-controller.js';
+import { ClozeController } from './cloze-controller.js';
 
 export class QuizController {
     constructor() {
@@ -24,12 +26,18 @@ export class QuizController {
         this.onNext = null;
         this.onPrevQuestion = null;
         this.onNextQuestion = null;
+        this.onClozeRuleChange = null;
         
         // Translation system
         this.translationTooltip = null;
         this.longPressTimer = null;
+        this.tooltipTimer = null;
         // Sequencing controller
         this.sequencingController = new SequencingController();
+        // Dictation controller
+        this.dictationController = new DictationController();
+        // Cloze controller
+        this.clozeController = new ClozeController();
         this.currentTranslations = {};
     }
     
@@ -49,6 +57,7 @@ export class QuizController {
                 DOMHelpers.addEventListener(btn, 'click', () => {
                     this.selectAnswer(i - 1);
                 });
+                DOMHelpers.addEventListener(btn, 'keydown', (e) => this.handleAnswerKeyDown(e, btn));
             }
         }
         
@@ -84,6 +93,35 @@ export class QuizController {
                 }
             };
         }
+        // Initialize dictation controller
+        const dictationContainer = DOMHelpers.getElementById('dictationContainer');
+        if (dictationContainer) {
+            this.dictationController.initialize(dictationContainer);
+            this.dictationController.onAnswer = (result) => {
+                this.isAnswered = true;
+                this.showFeedback(result.correct);
+                if (this.onAnswer) {
+                    this.onAnswer(result);
+                }
+            };
+        }
+        // Initialize cloze controller
+        const clozeContainer = DOMHelpers.getElementById('clozeContainer');
+        if (clozeContainer) {
+            this.clozeController.initialize(clozeContainer);
+            this.clozeController.onAnswer = (result) => {
+                this.isAnswered = true;
+                this.showFeedback(result.correct);
+                if (this.onAnswer) {
+                    this.onAnswer(result);
+                }
+            };
+            this.clozeController.onRuleChange = (rule, every) => {
+                if (this.onClozeRuleChange) {
+                    this.onClozeRuleChange(rule, every);
+                }
+            };
+        }
     }
 
     /**
@@ -93,7 +131,8 @@ export class QuizController {
         // Create tooltip element
         this.translationTooltip = DOMHelpers.createElement('div', {
             className: 'translation-tooltip',
-            id: 'translationTooltip'
+            id: 'translationTooltip',
+            role: 'tooltip'
         });
         document.body.appendChild(this.translationTooltip);
         
@@ -128,6 +167,18 @@ export class QuizController {
         document.addEventListener('click', () => {
             this.hideTranslation();
         });    
+        
+        // Keyboard: Enter or Space on a focused word shows its translation, Escape hides it
+        document.addEventListener('keydown', (e) => {
+            const target = e.target.closest ? e.target.closest('.translatable') : null;
+            if (target && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                e.stopPropagation();
+                this.showTranslation(target);
+            } else if (e.key === 'Escape') {
+                this.hideTranslation();
+            }
+        });
      }
     
     /**
@@ -135,26 +186,54 @@ export class QuizController {
      */
     showTranslation(element) {
         const translation = element.dataset.translation;
-        if (translation && this.translationTooltip) {
-            this.translationTooltip.textContent = translation;
-            
-            // Position tooltip above the element
-            const rect = element.getBoundingClientRect();
-            const tooltipX = rect.left + (rect.width / 2);
-            const tooltipY = rect.top - 10;
-            
-            this.translationTooltip.style.left = tooltipX + 'px';
-            this.translationTooltip.style.top = tooltipY + 'px';
-            
-            this.translationTooltip.classList.add('show');
-            
-            // Auto-hide after 2 seconds
-            setTimeout(() => {
-                this.hideTranslation();
-            }, 2000);
+        if (translation) {
+            this.showTooltip(element, translation);
+            DOMHelpers.announce(`${element.textContent}: ${translation}`);
         }
     }
     
+    /**
+     * Show all translations of the current question (keyboard alternative to right-click)
+     */
+    showAllTranslations() {
+        if (!this.currentQuestion) return;
+        
+        const translations = {
+            ...(this.currentQuestion.questionTranslations || {}),
+            ...(this.currentQuestion.optionTranslations || {})
+        };
+        const entries = Object.entries(translations).map(([word, translation]) => `${word}: ${translation}`);
+        const message = entries.length > 0 ? entries.join(', ') : 'Keine Übersetzungen für diese Frage';
+        
+        this.showTooltip(this.questionText, message);
+        DOMHelpers.announce(message);
+    }
+    
+    /**
+     * Show the tooltip above an element; it hides itself after 2 seconds
+     */
+    showTooltip(element, text) {
+        if (!element || !this.translationTooltip) return;
+        
+        this.translationTooltip.textContent = text;
+        
+        // Position tooltip above the element
+        const rect = element.getBoundingClientRect();
+        const tooltipX = rect.left + (rect.width / 2);
+        const tooltipY = rect.top - 10;
+        
+        this.translationTooltip.style.left = tooltipX + 'px';
+        this.translationTooltip.style.top = tooltipY + 'px';
+        
+        this.translationTooltip.classList.add('show');
+        
+        // Auto-hide after 2 seconds
+        clearTimeout(this.tooltipTimer);
+        this.tooltipTimer = setTimeout(() => {
+            this.hideTranslation();
+        }, 2000);
+    }
+    
     /**
      * Hide translation tooltip
      */
@@ -178,6 +257,18 @@ export class QuizController {
             return;
         }
         
+        // Check if this is a dictation question
+        if (question.type === 'dictation') {
+            this.handleDictationQuestion(question);
+            return;
+        }
+        
+        // Check if this is a free-input gap-fill question
+        if (question.type === 'cloze') {
+            this.handleClozeQuestion(question);
+            return;
+        }
+        
         // Reset UI
         this.resetUI();
         
@@ -185,7 +276,7 @@ export class QuizController {
         if (this.questionText) {
             if (question.questionTranslations) {
                 // Create question with translatable words
-                const questionHTML = this.createTranslatableText(question.question, question.questionTranslations);
+                const questionHTML = this.createTranslatableText(question.question, question.questionTranslations, true);
                 DOMHelpers.setContent(this.questionText, questionHTML, true);
             } else {
                 DOMHelpers.setContent(this.questionText, question.question);
@@ -223,6 +314,24 @@ export class QuizController {
         
         // Hide feedback
         DOMHelpers.toggleClass(this.feedbackArea, 'show', false);
+        
+        this.announceQuestion();
+    }
+    
+    /**
+     * Read the current question (and its options) to screen readers
+     */
+    announceQuestion() {
+        const question = this.currentQuestion;
+        if (!question) return;
+        
+        let message = `Frage: ${question.question}`;
+        if (question.type === 'sequencing') {
+            message += ' Satzteile in die richtige Reihenfolge bringen.';
+        } else if (Array.isArray(question.options) && !['dictation', 'cloze'].includes(question.type)) {
+            message += ' ' + question.options.map((option, index) => `${String.fromCharCode(65 + index)}: ${option}.`).join(' ');
+        }
+        DOMHelpers.announce(message);
     }
     
     /**
@@ -240,6 +349,9 @@ export class QuizController {
             DOMHelpers.toggleClass(sequencingContainer, 'hidden', false);
         }
         
+        // Hide typed-answer containers
+        this.showTypedContainer(null);
+        
         // Display question
         if (this.questionText) {
             DOMHelpers.setContent(this.questionText, question.question);
@@ -247,12 +359,73 @@ export class QuizController {
         
         // Load question in sequencing controller
         this.sequencingController.loadQuestion(question);
+        this.announceQuestion();
     }
 
     /**
-     * Create HTML with translatable words
+     * Handle dictation question
      */
-    createTranslatableText(text, translations) {
+    handleDictationQuestion(question) {
+        this.resetUI();
+        
+        // Hide normal quiz elements
+        const answerContainer = this.answerButtons[0]?.parentElement;
+        if (answerContainer) {
+            DOMHelpers.toggleClass(answerContainer, 'hidden', true);
+        }
+        
+        // Show dictation container
+        this.showTypedContainer('dictationContainer');
+        
+        // Display prompt
+        if (this.questionText) {
+            DOMHelpers.setContent(this.questionText, question.question);
+        }
+        
+        this.dictationController.loadQuestion(question);
+        this.announceQuestion();
+    }
+    
+    /**
+     * Handle free-input gap-fill question
+     */
+    handleClozeQuestion(question) {
+        this.resetUI();
+        
+        // Hide normal quiz elements
+        const answerContainer = this.answerButtons[0]?.parentElement;
+        if (answerContainer) {
+            DOMHelpers.toggleClass(answerContainer, 'hidden', true);
+        }
+        
+        // Show cloze container
+        this.showTypedContainer('clozeContainer');
+        
+        // Display prompt
+        if (this.questionText) {
+            DOMHelpers.setContent(this.questionText, question.question);
+        }
+        
+        this.clozeController.loadQuestion(question);
+        this.announceQuestion();
+    }
+    
+    /**
+     * Show one typed-answer container (dictation, cloze) and hide the others
+     */
+    showTypedContainer(activeId) {
+        ['dictationContainer', 'clozeContainer'].forEach(id => {
+            const container = DOMHelpers.getElementById(id);
+            if (container) {
+                DOMHelpers.toggleClass(container, 'hidden', id !== activeId);
+            }
+        });
+    }
+    
+    /**
+     * Create HTML with translatable words; focusable words can be opened with Enter
+     */
+    createTranslatableText(text, translations, focusable = false) {
         if (!translations || Object.keys(translations).length === 0) {
             return text;
         }
@@ -265,7 +438,8 @@ export class QuizController {
         return text.replace(pattern, (match) => {
             const translation = translations[match];
             if (translation) {
-                return `<span class="translatable" data-translation="${translation}">${match}</span>`;
+                const keyboardAttributes = focusable ? ' tabindex="0" role="button"' : '';
+                return `<span class="translatable" data-translation="${translation}"${keyboardAttributes}>${match}</span>`;
             }
             return match;
         });
@@ -282,6 +456,18 @@ export class QuizController {
                 if (dragZone) {
                     dragZone.classList.remove('disabled');
                 }
+                if (this.shouldMoveFocus()) {
+                    this.sequencingController.focus();
+                }
+                return;
+            }
+            // Focus typed-answer inputs once the sentence has been heard
+            if (this.currentQuestion && this.currentQuestion.type === 'dictation') {
+                this.dictationController.focus();
+                return;
+            }
+            if (this.currentQuestion && this.currentQuestion.type === 'cloze') {
+                this.clozeController.focus();
                 return;
             }
             this.answerButtons.forEach(btn => {
@@ -289,9 +475,49 @@ export class QuizController {
                     btn.disabled = false;
                 }
             });
+            
+            // Move the focus from the player to the options, unless the learner is elsewhere
+            const firstEnabled = this.getEnabledButtons()[0];
+            if (firstEnabled && this.shouldMoveFocus()) {
+                firstEnabled.focus();
+            }
+            DOMHelpers.announce('Antworten freigegeben');
         }
     }
     
+    /**
+     * Check if the focus is on the player or the quiz (or nowhere), so taking it does not disturb the learner
+     */
+    shouldMoveFocus() {
+        const active = document.activeElement;
+        return !active || active === document.body || Boolean(active.closest('.audio-section, .quiz-container'));
+    }
+    
+    /**
+     * Visible answer buttons that can be chosen
+     */
+    getEnabledButtons() {
+        return this.answerButtons.filter(btn => !btn.disabled && !DOMHelpers.hasClass(btn, 'hidden'));
+    }
+    
+    /**
+     * Arrow keys move the focus between the answer buttons (Enter and Space click them natively)
+     */
+    handleAnswerKeyDown(e, btn) {
+        if (e.shiftKey || e.ctrlKey || e.metaKey || e.altKey) return;
+        
+        const buttons = this.getEnabledButtons();
+        const index = buttons.indexOf(btn);
+        if (index === -1) return;
+        
+        const step = { ArrowDown: 1, ArrowRight: 1, ArrowUp: -1, ArrowLeft: -1 }[e.key];
+        if (!step) return;
+        
+        e.preventDefault();
+        e.stopPropagation();
+        buttons[(index + step + buttons.length) % buttons.length].focus();
+    }
+    
     /**
      * Select an answer
      */
@@ -323,8 +549,8 @@ export class QuizController {
      * Submit the selected answer
      */
     submitAnswer() {
-        // Skip if it's a sequencing question (handled by sequencing controller)
-        if (this.currentQuestion && this.currentQuestion.type === 'sequencing') {
+        // Skip sequencing and typed-answer questions (handled by their controllers)
+        if (this.currentQuestion && ['sequencing', 'dictation', 'cloze'].includes(this.currentQuestion.type)) {
             return;
         }
         if (this.isAnswered || this.selectedAnswer === null || !this.currentQuestion) {
@@ -387,6 +613,24 @@ export class QuizController {
         DOMHelpers.toggleClass(this.feedbackArea, 'show', true);
         DOMHelpers.toggleDisplay(this.feedbackArea, true, 'flex');
         DOMHelpers.setContent(this.feedbackArea, message, true);
+        
+        this.announceFeedback(correct);
+    }
+    
+    /**
+     * Read the feedback to screen readers right away, with the correct answer after a mistake
+     */
+    announceFeedback(correct) {
+        const question = this.currentQuestion;
+        let message = correct ? 'Richtig!' : 'Falsch.';
+        
+        if (!correct && Array.isArray(question.options) && Number.isInteger(question.correct)) {
+            message += ` Richtige Antwort: ${String.fromCharCode(65 + question.correct)}: ${question.options[question.correct]}.`;
+        }
+        if (question.explanation) {
+            message += ' ' + question.explanation;
+        }
+        DOMHelpers.announce(message, true);
     }
     
     /**
@@ -402,6 +646,9 @@ export class QuizController {
             DOMHelpers.toggleClass(btn, 'hidden', true);
         });
         
+        // Hide typed-answer inputs
+        this.showTypedContainer(null);
+        
         DOMHelpers.toggleDisplay(this.feedbackArea, false);
     }
     
@@ -428,6 +675,9 @@ export class QuizController {
             DOMHelpers.toggleClass(sequencingContainer, 'hidden', true);
         }
         
+        // Hide typed-answer containers
+        this.showTypedContainer(null);
+        
         // Show answer options container
         const answerContainer = this.answerButtons[0]?.parentElement;
         if (answerContainer) {
@@ -0,0 +1,245 @@
+/**
+ * Results as JSON and CSV files for teachers, and the matching import
+ */
+import { CONFIG } from '../config.js';
+import { DOMHelpers } from '../utils/dom-helpers.js';
+import { AnswerFormatter } from './answer-formatter.js';
+
+// Flat columns shared by both formats; the last two hold the question and the raw answer for re-import
+// (JSON-encoded in the CSV file)
+const COLUMNS = [
+    'lessonId', 'sentence', 'sentenceText', 'questionIndex', 'mode', 'modeName', 'question',
+    'selected', 'correctAnswer', 'correct', 'score', 'hintLevel', 'points', 'review', 'exam', 'answeredAt',
+    'questionData', 'selectedAnswer'
+];
+const RAW_COLUMNS = ['questionData', 'selectedAnswer'];
+
+export class ResultsExporter {
+    constructor() {
+        this.answerFormatter = new AnswerFormatter();
+    }
+
+    /**
+     * Results enriched with readable texts; getCue(lessonId, sentenceIndex) returns the cue
+     */
+    createRecords(results, getCue) {
+        return results.map(result => {
+            const question = result.question || {};
+            const cue = getCue(result.lessonId, result.sentenceIndex);
+            const answers = this.answerFormatter.format(question, result.selectedAnswer, cue);
+
+            return {
+                lessonId: result.lessonId,
+                sentence: result.sentenceIndex + 1,
+                sentenceText: cue ? cue.text : '',
+                questionIndex: result.questionIndex ?? null,
+                mode: result.questionType,
+                modeName: CONFIG.modeNames[result.questionType] || result.questionType,
+                question: question.question || '',
+                selected: answers.chosen,
+                correctAnswer: answers.correct,
+                correct: Boolean(result.correct),
+                score: result.score ?? null,
+                hintLevel: result.hintLevel || 0,
+                points: result.points ?? (result.correct ? 1 : 0),
+                review: Boolean(result.review),
+                exam: Boolean(result.exam),
+                answeredAt: new Date(result.time).toISOString(),
+                questionData: result.question || null,
+                selectedAnswer: result.selectedAnswer ?? null
+            };
+        });
+    }
+
+    /**
+     * JSON file with the records, the original questions and raw answers
+     */
+    toJSON(results, getCue, sessionStartedAt = null) {
+        const records = this.createRecords(results, getCue);
+
+        return JSON.stringify({
+            format: CONFIG.resultsExport.format,
+            version: CONFIG.resultsExport.version,
+            exportedAt: new Date().toISOString(),
+            sessionStartedAt: sessionStartedAt ? new Date(sessionStartedAt).toISOString() : null,
+            results: records
+        }, null, 2);
+    }
+
+    /**
+     * CSV file with one row per answer (UTF-8 with BOM so spreadsheets keep the umlauts)
+     */
+    toCSV(results, getCue) {
+        const rows = this.createRecords(results, getCue).map(record => (
+            COLUMNS.map(column => this.escapeCSV(RAW_COLUMNS.includes(column) ? JSON.stringify(record[column]) : record[column])).join(',')
+        ));
+        return `\uFEFF${[COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+    }
+
+    /**
+     * Quote a CSV field when it contains separators, quotes or line breaks
+     */
+    escapeCSV(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Parse an exported JSON or CSV file back into answer records for the progress store.
+     * Returns { answers, skipped } with the number of rows that could not be read.
+     */
+    parse(text) {
+        const content = text.replace(/^\uFEFF/, '').trim();
+        let records;
+
+        if (content.startsWith('{') || content.startsWith('[')) {
+            const data = JSON.parse(content);
+            records = Array.isArray(data) ? data : data.results;
+            if (!Array.isArray(records)) {
+                throw new Error('No results found in JSON file');
+            }
+        } else {
+            records = this.parseCSV(content).map(record => this.decodeRawFields(record));
+        }
+
+        const answers = [];
+        let skipped = 0;
+        records.forEach(record => {
+            const answer = this.toAnswer(record);
+            if (answer) {
+                answers.push(answer);
+            } else {
+                skipped++;
+            }
+        });
+
+        return { answers, skipped };
+    }
+
+    /**
+     * Decode the JSON-encoded raw columns of a CSV row; a row without them keeps questionData null
+     */
+    decodeRawFields(record) {
+        try {
+            return {
+                ...record,
+                questionData: JSON.parse(record.questionData),
+                selectedAnswer: JSON.parse(record.selectedAnswer)
+            };
+        } catch (error) {
+            return { ...record, questionData: null };
+        }
+    }
+
+    /**
+     * Turn an exported record into the shape stored by the app. Returns null if required fields
+     * are missing, or the raw question (without it the answer could only be stored as display text).
+     */
+    toAnswer(record) {
+        const time = Date.parse(record.answeredAt);
+        const sentence = Number(record.sentence);
+        if (!record.lessonId || !record.mode || !Number.isInteger(sentence) || sentence < 1 || Number.isNaN(time)) {
+            return null;
+        }
+        if (!record.questionData || typeof record.questionData !== 'object') {
+            return null;
+        }
+
+        const answer = {
+            lessonId: String(record.lessonId),
+            sentenceIndex: sentence - 1,
+            questionIndex: this.toNumber(record.questionIndex),
+            questionType: String(record.mode),
+            question: record.questionData,
+            selectedAnswer: record.selectedAnswer ?? null,
+            correct: record.correct === true || record.correct === 'true',
+            hintLevel: this.toNumber(record.hintLevel) || 0,
+            points: this.toNumber(record.points) ?? 0,
+            time: time
+        };
+        const score = this.toNumber(record.score);
+        if (score !== null) {
+            answer.score = score;
+        }
+        if (record.review === true || record.review === 'true') {
+            answer.review = true;
+        }
+        if (record.exam === true || record.exam === 'true') {
+            answer.exam = true;
+        }
+        return answer;
+    }
+
+    /**
+     * Number from a JSON or CSV field (null for empty fields)
+     */
+    toNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const number = Number(value);
+        return Number.isNaN(number) ? null : number;
+    }
+
+    /**
+     * Parse CSV text with a header row into objects (quoted fields may contain commas and line breaks)
+     */
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        row.push(field);
+        rows.push(row);
+
+        const [header, ...body] = rows.filter(cells => cells.some(cell => cell !== ''));
+        if (!header || !header.includes('lessonId')) {
+            throw new Error('CSV file has no lessonId column');
+        }
+
+        return body.map(cells => Object.fromEntries(header.map((column, index) => [column, cells[index] ?? ''])));
+    }
+
+    /**
+     * Offer text as a file download
+     */
+    download(content, fileName, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = DOMHelpers.createElement('a', {
+            href: url,
+            download: fileName
+        });
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // Firefox and Safari cancel the download if the URL goes away right after the click
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
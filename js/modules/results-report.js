@@ -0,0 +1,221 @@
+/**
+ * End-of-session report: accuracy per mode, missed questions and time per sentence
+ */
+import { CONFIG } from '../config.js';
+import { DOMHelpers } from '../utils/dom-helpers.js';
+import { AnswerFormatter } from './answer-formatter.js';
+
+export class ResultsReport {
+    constructor() {
+        this.answerFormatter = new AnswerFormatter();
+
+        // State
+        this.showLessonIds = false;
+
+        // DOM elements
+        this.container = null;
+
+        // Callbacks
+        this.onReplay = null;
+        this.onRetryMistakes = null;
+    }
+
+    /**
+     * Initialize the report
+     */
+    initialize(container) {
+        this.container = container;
+    }
+
+    /**
+     * Render the report.
+     * sentenceTimes maps "lessonId:sentenceIndex" to milliseconds; getCue(lessonId, sentenceIndex) returns the cue
+     */
+    render({ sessionScore, results, sentenceTimes, getCue }) {
+        if (!this.container) return;
+
+        this.container.innerHTML = '';
+        const mistakes = this.getMistakes(results);
+        const lessonIds = new Set([
+            ...results.map(result => result.lessonId),
+            ...Object.keys(sentenceTimes).map(key => key.split(':')[0])
+        ]);
+        this.showLessonIds = lessonIds.size > 1;
+
+        this.container.appendChild(this.createModeTable(sessionScore));
+        this.container.appendChild(this.createMistakeList(mistakes, sentenceTimes, getCue));
+        this.container.appendChild(this.createSentenceTimes(results, sentenceTimes, getCue));
+
+        const retryButton = DOMHelpers.createElement('button', {
+            className: 'report-retry-btn',
+            id: 'retryMistakesBtn',
+            disabled: mistakes.length === 0
+        }, `Nur Fehler wiederholen (${mistakes.length})`);
+        DOMHelpers.addEventListener(retryButton, 'click', () => {
+            if (this.onRetryMistakes) this.onRetryMistakes(this.getRetryItems(mistakes));
+        });
+        this.container.appendChild(retryButton);
+    }
+
+    /**
+     * Wrong answers, once per question (the latest attempt)
+     */
+    getMistakes(results) {
+        const latest = new Map();
+        results.forEach(result => {
+            const question = result.question ? result.question.question : '';
+            latest.set(`${result.lessonId}:${result.sentenceIndex}:${result.questionType}:${question}`, result);
+        });
+        return [...latest.values()].filter(result => !result.correct);
+    }
+
+    /**
+     * Cue/question pairs to run again (same shape as review items)
+     */
+    getRetryItems(mistakes) {
+        return mistakes.map(result => ({
+            lessonId: result.lessonId,
+            sentenceIndex: result.sentenceIndex,
+            questionType: result.questionType,
+            question: result.question
+        }));
+    }
+
+    /**
+     * Accuracy and points per exercise mode
+     */
+    createModeTable(sessionScore) {
+        const section = this.createSection('Nach Übungsmodus');
+        const table = DOMHelpers.createElement('table', { className: 'report-table' });
+
+        const header = DOMHelpers.createElement('tr');
+        ['Modus', 'Richtig', 'Genauigkeit', 'Punkte'].forEach(label => {
+            header.appendChild(DOMHelpers.createElement('th', {}, label));
+        });
+        table.appendChild(header);
+
+        Object.entries(sessionScore.byMode).forEach(([mode, score]) => {
+            const row = DOMHelpers.createElement('tr');
+            [
+                CONFIG.modeNames[mode] || mode,
+                `${score.correct}/${score.total}`,
+                `${score.total > 0 ? Math.round((score.correct / score.total) * 100) : 0}%`,
+                this.formatNumber(score.points)
+            ].forEach(value => {
+                row.appendChild(DOMHelpers.createElement('td', {}, value));
+            });
+            table.appendChild(row);
+        });
+
+        section.appendChild(table);
+        return section;
+    }
+
+    /**
+     * Missed questions with the chosen and the correct answer
+     */
+    createMistakeList(mistakes, sentenceTimes, getCue) {
+        const section = this.createSection('Fehler');
+
+        if (mistakes.length === 0) {
+            section.appendChild(DOMHelpers.createElement('p', { className: 'report-empty' }, 'Keine Fehler. Sehr gut!'));
+            return section;
+        }
+
+        mistakes.forEach(result => {
+            const cue = getCue(result.lessonId, result.sentenceIndex);
+            const question = result.question || {};
+            const answers = this.answerFormatter.format(question, result.selectedAnswer, cue);
+            const card = DOMHelpers.createElement('div', { className: 'report-mistake' });
+
+            const header = DOMHelpers.createElement('div', { className: 'report-mistake-header' });
+            const replayButton = DOMHelpers.createElement('button', {
+                className: 'toggle-btn secondary-btn',
+                title: 'Satz abspielen\nPlay sentence'
+            }, '▶');
+            DOMHelpers.addEventListener(replayButton, 'click', () => {
+                if (this.onReplay) this.onReplay(result.lessonId, result.sentenceIndex);
+            });
+            header.appendChild(replayButton);
+            header.appendChild(DOMHelpers.createElement('span', { className: 'report-mistake-title' },
+                `${this.formatSentenceLabel(result)} · ${CONFIG.modeNames[result.questionType] || result.questionType}`));
+            header.appendChild(DOMHelpers.createElement('span', { className: 'report-time' },
+                this.formatDuration(sentenceTimes[`${result.lessonId}:${result.sentenceIndex}`])));
+            card.appendChild(header);
+
+            if (cue) {
+                card.appendChild(DOMHelpers.createElement('div', { className: 'report-cue-text' }, cue.text));
+            }
+            if (question.question) {
+                card.appendChild(DOMHelpers.createElement('div', { className: 'report-question' }, question.question));
+            }
+            card.appendChild(DOMHelpers.createElement('div', { className: 'report-answer chosen' }, `Deine Antwort: ${answers.chosen}`));
+            card.appendChild(DOMHelpers.createElement('div', { className: 'report-answer correct' }, `Richtig: ${answers.correct}`));
+            if (question.explanation) {
+                card.appendChild(DOMHelpers.createElement('div', { className: 'report-explanation' }, question.explanation));
+            }
+
+            section.appendChild(card);
+        });
+
+        return section;
+    }
+
+    /**
+     * Time spent on every sentence, with its result
+     */
+    createSentenceTimes(results, sentenceTimes, getCue) {
+        const section = this.createSection('Zeit pro Satz');
+        const list = DOMHelpers.createElement('ol', { className: 'report-times' });
+
+        Object.entries(sentenceTimes).forEach(([key, time]) => {
+            const [lessonId, index] = key.split(':');
+            const sentenceIndex = Number(index);
+            const answers = results.filter(result => result.lessonId === lessonId && result.sentenceIndex === sentenceIndex);
+            const status = answers.length === 0 ? '·' : answers.every(result => result.correct) ? '✓' : '✗';
+            const cue = getCue(lessonId, sentenceIndex);
+
+            const row = DOMHelpers.createElement('li', { className: 'report-time-row' });
+            row.appendChild(DOMHelpers.createElement('span', { className: 'report-time-label' },
+                `${this.formatSentenceLabel({ lessonId, sentenceIndex })}${cue ? `: ${cue.text}` : ''}`));
+            row.appendChild(DOMHelpers.createElement('span', { className: 'report-time' }, this.formatDuration(time)));
+            row.appendChild(DOMHelpers.createElement('span', { className: 'report-status' }, status));
+            list.appendChild(row);
+        });
+
+        section.appendChild(list);
+        return section;
+    }
+
+    /**
+     * Create a report section with a heading
+     */
+    createSection(title) {
+        const section = DOMHelpers.createElement('section', { className: 'report-section' });
+        section.appendChild(DOMHelpers.createElement('h3', { className: 'report-heading' }, title));
+        return section;
+    }
+
+    /**
+     * "Satz 3", with the lesson for sessions that span lessons
+     */
+    formatSentenceLabel({ lessonId, sentenceIndex }) {
+        return this.showLessonIds ? `${lessonId} · Satz ${sentenceIndex + 1}` : `Satz ${sentenceIndex + 1}`;
+    }
+
+    /**
+     * Format milliseconds as m:ss
+     */
+    formatDuration(ms) {
+        if (!ms) return '–';
+        const seconds = Math.round(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Format a number with a German decimal comma
+     */
+    formatNumber(value) {
+        return String(Math.round(value * 100) / 100).replace('.', ',');
+    }
+}
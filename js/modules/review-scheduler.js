@@ -0,0 +1,77 @@
+/**
+ * Spaced-repetition scheduler (SM-2) for missed questions
+ */
+import { CONFIG } from '../config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class ReviewScheduler {
+    /**
+     * Build a stable id for a question in a lesson sentence
+     */
+    getItemId(lessonId, sentenceIndex, question) {
+        return `${lessonId}:${sentenceIndex}:${question.type}:${question.question}`;
+    }
+
+    /**
+     * Create a new review item from an answer result
+     */
+    createItem(result) {
+        return {
+            id: this.getItemId(result.lessonId, result.sentenceIndex, result.question),
+            lessonId: result.lessonId,
+            sentenceIndex: result.sentenceIndex,
+            questionType: result.question.type,
+            question: result.question,
+            easeFactor: CONFIG.review.initialEaseFactor,
+            interval: 0,
+            repetitions: 0,
+            lapses: 0,
+            dueAt: Date.now(),
+            lastReviewedAt: null
+        };
+    }
+
+    /**
+     * Map an answer to an SM-2 quality grade (0-5)
+     */
+    getQuality(correct) {
+        return correct ? CONFIG.review.correctQuality : CONFIG.review.incorrectQuality;
+    }
+
+    /**
+     * Apply an SM-2 review with the given quality and return the updated item
+     */
+    grade(item, quality, now = Date.now()) {
+        let { easeFactor, interval, repetitions, lapses } = item;
+
+        if (quality < 3) {
+            // Failed: start over with a short interval
+            repetitions = 0;
+            interval = 1;
+            lapses++;
+        } else {
+            repetitions++;
+            if (repetitions === 1) {
+                interval = 1;
+            } else if (repetitions === 2) {
+                interval = 6;
+            } else {
+                interval = Math.round(interval * easeFactor);
+            }
+        }
+
+        easeFactor += 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02);
+        easeFactor = Math.max(CONFIG.review.minEaseFactor, easeFactor);
+
+        return {
+            ...item,
+            easeFactor: easeFactor,
+            interval: interval,
+            repetitions: repetitions,
+            lapses: lapses,
+            dueAt: now + interval * DAY_MS,
+            lastReviewedAt: now
+        };
+    }
+}
@@ -42,16 +42,26 @@ export class SequencingController {
         // Clear container
         this.container.innerHTML = '';
         
+        // Keyboard instructions for screen readers
+        const instructions = DOMHelpers.createElement('p', {
+            className: 'sr-only',
+            id: 'sequencingInstructions'
+        }, 'Enter setzt einen Satzteil in die nächste freie Lücke. In der Lösung verschieben die Pfeiltasten den Satzteil, Entf nimmt ihn heraus.');
+        
         // Create drag zone (source)
         this.dragZone = DOMHelpers.createElement('div', {
             className: 'sequencing-drag-zone',
-            id: 'sequencingDragZone'
+            id: 'sequencingDragZone',
+            role: 'list',
+            'aria-label': 'Satzteile'
         });
         
         // Create drop zone (target)
         this.dropZone = DOMHelpers.createElement('div', {
             className: 'sequencing-drop-zone',
-            id: 'sequencingDropZone'
+            id: 'sequencingDropZone',
+            role: 'list',
+            'aria-label': 'Lösung'
         });
         
         // Create check button
@@ -62,6 +72,7 @@ export class SequencingController {
         });
         
         // Add to container
+        this.container.appendChild(instructions);
         this.container.appendChild(this.dragZone);
         this.container.appendChild(this.dropZone);
         this.container.appendChild(this.checkButton);
@@ -134,12 +145,18 @@ export class SequencingController {
             const element = DOMHelpers.createElement('div', {
                 className: 'sequencing-segment',
                 draggable: true,
+                tabindex: 0,
+                role: 'listitem',
+                'aria-describedby': 'sequencingInstructions',
                 'data-segment-id': segment.id,
                 'data-original-index': index
             });
             
             element.textContent = segment.text;
             
+            // Keyboard: Enter or Space places the segment, arrow keys move through the pool
+            element.addEventListener('keydown', (e) => this.handleSegmentKeyDown(e, segment));
+            
             // Desktop drag events
             element.addEventListener('dragstart', (e) => this.handleDragStart(e, segment, index));
             element.addEventListener('dragend', (e) => this.handleDragEnd(e));
@@ -181,6 +198,8 @@ export class SequencingController {
         for (let i = 0; i < this.segments.length; i++) {
             const slot = DOMHelpers.createElement('div', {
                 className: 'sequencing-slot',
+                role: 'listitem',
+                'aria-label': `Lücke ${i + 1}`,
                 'data-slot-index': i
             });
             
@@ -252,6 +271,104 @@ export class SequencingController {
         }
     }
 
+    /**
+     * Keyboard on a segment in the pool: Enter or Space places it in the first empty slot,
+     * arrow keys move the focus to the neighbouring segment
+     */
+    handleSegmentKeyDown(e, segment) {
+        if (e.shiftKey || e.ctrlKey || e.metaKey || e.altKey || this.isAnswered) return;
+        if (e.key === 'Enter' || e.key === ' ') {
+            // Keep Enter from also checking the order
+            e.preventDefault();
+            e.stopPropagation();
+            
+            // Already placed: it is moved from its slot, not from the pool
+            if (e.currentTarget.classList.contains('used')) return;
+            
+            const slots = Array.from(this.dropZone.children);
+            const emptySlotIndex = slots.findIndex(slot => !slot.querySelector('.sequencing-segment'));
+            if (emptySlotIndex === -1) return;
+            
+            this.placeSegmentInSlot(segment, emptySlotIndex);
+            DOMHelpers.announce(`${segment.text} an Position ${emptySlotIndex + 1}`);
+            
+            // Continue with the next unused segment, or with the check button when all are placed
+            const next = this.dragZone.querySelector('.sequencing-segment:not(.used)');
+            (next || this.checkButton).focus();
+            return;
+        }
+        
+        const step = { ArrowDown: 1, ArrowRight: 1, ArrowUp: -1, ArrowLeft: -1 }[e.key];
+        if (!step) return;
+        
+        e.preventDefault();
+        e.stopPropagation();
+        const available = Array.from(this.dragZone.querySelectorAll('.sequencing-segment:not(.used)'));
+        const index = available.indexOf(e.currentTarget);
+        if (available.length > 0) {
+            available[(index + step + available.length) % available.length].focus();
+        }
+    }
+    
+    /**
+     * Keyboard on a placed segment: arrow keys swap it with its neighbour,
+     * Delete, Backspace or Enter put it back into the pool
+     */
+    handlePlacedKeyDown(e, segment) {
+        if (e.shiftKey || e.ctrlKey || e.metaKey || e.altKey || this.isAnswered) return;
+        
+        const slotIndex = Array.from(this.dropZone.children).indexOf(e.currentTarget.parentElement);
+        
+        if (['Delete', 'Backspace', 'Enter'].includes(e.key)) {
+            e.preventDefault();
+            e.stopPropagation();
+            this.removeSegmentFromSlot(slotIndex);
+            DOMHelpers.announce(`${segment.text} entfernt`);
+            
+            const original = this.dragZone.querySelector(`[data-segment-id="${segment.id}"]`);
+            if (original) original.focus();
+            return;
+        }
+        
+        const step = { ArrowDown: 1, ArrowRight: 1, ArrowUp: -1, ArrowLeft: -1 }[e.key];
+        if (!step) return;
+        
+        e.preventDefault();
+        e.stopPropagation();
+        this.moveSegment(slotIndex, slotIndex + step);
+    }
+    
+    /**
+     * Move a placed segment to another slot, swapping with the segment there
+     */
+    moveSegment(fromIndex, toIndex) {
+        if (toIndex < 0 || toIndex >= this.dropZone.children.length) return;
+        
+        const findSegment = (slotIndex) => {
+            const element = this.dropZone.children[slotIndex].querySelector('.sequencing-segment');
+            return element ? this.segments.find(s => s.id === parseInt(element.dataset.segmentId)) : null;
+        };
+        const moving = findSegment(fromIndex);
+        const other = findSegment(toIndex);
+        if (!moving) return;
+        
+        this.placeSegmentInSlot(moving, toIndex);
+        if (other) {
+            this.placeSegmentInSlot(other, fromIndex);
+        }
+        
+        this.dropZone.children[toIndex].querySelector('.sequencing-segment').focus();
+        DOMHelpers.announce(`${moving.text} an Position ${toIndex + 1}`);
+    }
+    
+    /**
+     * Focus the first segment that still has to be placed
+     */
+    focus() {
+        const first = this.dragZone && this.dragZone.querySelector('.sequencing-segment:not(.used)');
+        if (first) first.focus();
+    }
+    
     /**
      * Handle touch start
      */
@@ -344,10 +461,16 @@ export class SequencingController {
         const placedSegment = DOMHelpers.createElement('div', {
             className: 'sequencing-segment placed',
             'data-segment-id': segment.id,
-            draggable: true
+            draggable: true,
+            tabindex: 0,
+            'aria-label': `${slotIndex + 1}. ${segment.text}`,
+            'aria-describedby': 'sequencingInstructions'
         });
         
         placedSegment.textContent = segment.text;
+        
+        // Keyboard: arrow keys move the segment, Delete/Backspace/Enter take it out
+        placedSegment.addEventListener('keydown', (e) => this.handlePlacedKeyDown(e, segment));
 
         // Add drag events to placed segment
         placedSegment.addEventListener('dragstart', (e) => {
@@ -385,7 +508,7 @@ export class SequencingController {
         // Hide the original element
         const originalElement = this.dragZone.querySelector(`[data-segment-id="${segment.id}"]`);
         if (originalElement) {
-            originalElement.classList.add('used');
+            this.setUsed(originalElement, true);
         }
     }
     
@@ -405,13 +528,26 @@ export class SequencingController {
             // Show original element again (only if it exists)
             const original = this.dragZone.querySelector(`[data-segment-id="${segmentId}"]:not(.placed)`);
             if (original) {
-                original.classList.remove('used');
+                this.setUsed(original, false);
             }
             
             this.updateUserOrder();
         }
     }
     
+    /**
+     * Mark a pool segment as placed (dimmed, out of the tab order) or available again
+     */
+    setUsed(element, used) {
+        element.classList.toggle('used', used);
+        element.setAttribute('tabindex', used ? '-1' : '0');
+        if (used) {
+            element.setAttribute('aria-disabled', 'true');
+        } else {
+            element.removeAttribute('aria-disabled');
+        }
+    }
+    
     /**
      * Update user order based on placed segments
      */
@@ -457,6 +593,11 @@ export class SequencingController {
         this.checkButton.disabled = true;
         this.dragZone.classList.add('disabled');
         
+        const wrong = this.userOrder.filter((id, index) => id !== this.correctOrder[index]).length;
+        DOMHelpers.announce(correct
+            ? 'Richtig! Die Reihenfolge stimmt.'
+            : `Falsch. ${wrong} von ${this.userOrder.length} Satzteilen stehen an der falschen Stelle. Richtig: ${this.getCorrectText()}`, true);
+        
         // Notify callback
         if (this.onAnswer) {
             this.onAnswer({
@@ -467,6 +608,17 @@ export class SequencingController {
         }
     }
     
+    /**
+     * The segments in the correct order, as one text
+     */
+    getCorrectText() {
+        return this.correctOrder
+            .map(id => this.segments.find(s => s.id === id))
+            .filter(Boolean)
+            .map(segment => segment.text)
+            .join(' ');
+    }
+    
     /**
      * Reset the controller
      */
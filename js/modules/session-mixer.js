@@ -0,0 +1,54 @@
+/**
+ * Session presets: picks the questions of a sentence from several question types
+ */
+import { CONFIG } from '../config.js';
+
+export class SessionMixer {
+    /**
+     * Check if a mode is a session preset rather than a single question type
+     */
+    isPreset(mode) {
+        return Object.prototype.hasOwnProperty.call(CONFIG.sessionPresets, mode);
+    }
+
+    /**
+     * Questions of a sentence for a preset: every question of the preset's types (in the preset's order),
+     * or a weighted random draw. `random` returns numbers in [0, 1) and should be seeded per session
+     * so the same sentence gets the same questions when the session is restored.
+     */
+    selectQuestions(questions, presetId, random = Math.random) {
+        const preset = CONFIG.sessionPresets[presetId];
+        if (!preset || !Array.isArray(questions)) {
+            return [];
+        }
+
+        if (preset.weights) {
+            return this.drawWeighted(questions, preset.weights, preset.questionsPerSentence, random);
+        }
+
+        return questions
+            .filter(question => preset.modes.includes(question.type))
+            .sort((a, b) => preset.modes.indexOf(a.type) - preset.modes.indexOf(b.type));
+    }
+
+    /**
+     * Draw up to `count` different questions; each question's chance is the weight of its type
+     */
+    drawWeighted(questions, weights, count, random) {
+        const pool = questions.filter(question => (weights[question.type] || 0) > 0);
+        const drawn = [];
+
+        while (drawn.length < count && pool.length > 0) {
+            const total = pool.reduce((sum, question) => sum + weights[question.type], 0);
+            let target = random() * total;
+            let index = 0;
+            while (index < pool.length - 1 && target >= weights[pool[index].type]) {
+                target -= weights[pool[index].type];
+                index++;
+            }
+            drawn.push(pool.splice(index, 1)[0]);
+        }
+
+        return drawn;
+    }
+}
@@ -0,0 +1,278 @@
+/**
+ * Shortcut overlay ("?"): lists the active key bindings by context and lets the learner rebind them
+ */
+import { CONFIG } from '../config.js';
+import { DOMHelpers } from '../utils/dom-helpers.js';
+
+export class ShortcutHelp {
+    constructor() {
+        // State
+        this.keyboard = null;
+        this.context = 'player';
+        this.recordingAction = null;
+        this.returnFocus = null; // Focused element before the overlay opened
+
+        // DOM elements
+        this.container = null;
+        this.panel = null;
+        this.list = null;
+        this.status = null;
+        this.closeButton = null;
+        this.resetButton = null;
+    }
+
+    /**
+     * Initialize the overlay for a KeyboardShortcuts instance
+     */
+    initialize(container, keyboard) {
+        this.container = container;
+        this.keyboard = keyboard;
+        this.createLayout();
+        this.setupEventListeners();
+        this.hide();
+    }
+
+    /**
+     * Create the overlay layout
+     */
+    createLayout() {
+        this.container.innerHTML = '';
+
+        const panel = DOMHelpers.createElement('div', {
+            className: 'shortcut-help-panel',
+            role: 'dialog',
+            'aria-modal': 'true',
+            'aria-labelledby': 'shortcutHelpTitle'
+        });
+        this.panel = panel;
+
+        const header = DOMHelpers.createElement('div', { className: 'shortcut-help-header' });
+        header.appendChild(DOMHelpers.createElement('div', { className: 'shortcut-help-title', id: 'shortcutHelpTitle' }, 'Tastenkürzel'));
+        this.closeButton = DOMHelpers.createElement('button', {
+            className: 'hint-close shortcut-help-close',
+            title: 'Schließen (Esc)\nClose',
+            'aria-label': 'Schließen'
+        }, '×');
+        header.appendChild(this.closeButton);
+
+        this.list = DOMHelpers.createElement('div', { className: 'shortcut-list' });
+
+        const footer = DOMHelpers.createElement('div', { className: 'shortcut-help-footer' });
+        this.status = DOMHelpers.createElement('span', { className: 'shortcut-status' });
+        this.resetButton = DOMHelpers.createElement('button', { className: 'transfer-btn' }, 'Standard wiederherstellen');
+        footer.appendChild(this.status);
+        footer.appendChild(this.resetButton);
+
+        panel.appendChild(header);
+        panel.appendChild(this.list);
+        panel.appendChild(footer);
+        this.container.appendChild(panel);
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        DOMHelpers.addEventListener(this.closeButton, 'click', () => this.hide());
+
+        DOMHelpers.addEventListener(this.resetButton, 'click', () => {
+            this.recordingAction = null;
+            this.keyboard.resetBindings();
+            this.setStatus('Standardbelegung wiederhergestellt');
+            this.render();
+        });
+
+        // Delegate clicks for removing and adding keys; a click on the backdrop closes
+        DOMHelpers.addEventListener(this.container, 'click', (e) => {
+            if (e.target === this.container) {
+                this.hide();
+                return;
+            }
+
+            const removeButton = e.target.closest('.shortcut-remove');
+            if (removeButton) {
+                this.keyboard.removeBinding(removeButton.dataset.action, removeButton.dataset.key);
+                this.setStatus('');
+                this.render();
+                return;
+            }
+
+            const addButton = e.target.closest('.shortcut-add');
+            if (addButton) {
+                this.recordingAction = this.recordingAction === addButton.dataset.action ? null : addButton.dataset.action;
+                this.setStatus(this.recordingAction ? 'Neue Taste drücken (Esc bricht ab)' : '');
+                this.render();
+            }
+        });
+
+        // Capture phase: runs before the shortcuts, so a key being recorded never triggers its old action
+        window.addEventListener('keydown', (e) => this.handleKeyDown(e), true);
+    }
+
+    /**
+     * Record a new key for an action, or close the overlay with Esc (or the help shortcut).
+     * While the overlay is open, no shortcut reaches the page behind it; Enter and Space
+     * keep working on the overlay's own buttons, and Tab cycles through them.
+     */
+    handleKeyDown(e) {
+        if (!this.isVisible()) return;
+
+        if (!this.recordingAction) {
+            e.stopPropagation();
+            if (e.key === 'Tab') {
+                this.keepFocusInside(e);
+                return;
+            }
+            const isHelpKey = this.keyboard.bindings.showHelp.includes(this.keyboard.getKeyCombo(e));
+            if (e.key === 'Escape' || isHelpKey) {
+                e.preventDefault();
+                this.hide();
+            }
+            return;
+        }
+
+        e.preventDefault();
+        e.stopPropagation();
+        if (this.keyboard.isModifierKey(e)) return;
+
+        const action = this.recordingAction;
+        this.recordingAction = null;
+
+        if (e.key === 'Escape') {
+            this.setStatus('');
+        } else {
+            const keyCombo = this.keyboard.getKeyCombo(e);
+            const conflict = this.keyboard.addBinding(action, keyCombo);
+            if (conflict) {
+                this.setStatus(`${this.keyboard.formatKeyCombo(keyCombo)} ist schon belegt: ${CONFIG.shortcuts[conflict].label}`, true);
+            } else {
+                this.setStatus(`${this.keyboard.formatKeyCombo(keyCombo)}: ${CONFIG.shortcuts[action].label}`);
+            }
+        }
+        this.render();
+    }
+
+    /**
+     * Wrap Tab from the last button to the first (Shift+Tab the other way round)
+     */
+    keepFocusInside(e) {
+        const buttons = Array.from(this.panel.querySelectorAll('button'));
+        if (buttons.length === 0) return;
+
+        const first = buttons[0];
+        const last = buttons[buttons.length - 1];
+        const isInside = this.panel.contains(document.activeElement);
+
+        if (e.shiftKey && (!isInside || document.activeElement === first)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (!isInside || document.activeElement === last)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Render the bindings grouped by context; the context of the current question is highlighted
+     */
+    render() {
+        this.list.innerHTML = '';
+
+        Object.entries(CONFIG.shortcutContexts).forEach(([context, title]) => {
+            const isActive = context === 'player' || context === this.context;
+            const section = DOMHelpers.createElement('div', { className: `shortcut-section${isActive ? ' active' : ''}` });
+            section.appendChild(DOMHelpers.createElement('div', { className: 'shortcut-section-title' }, title));
+
+            Object.entries(CONFIG.shortcuts)
+                .filter(([, shortcut]) => shortcut.context === context)
+                .forEach(([action, shortcut]) => {
+                    section.appendChild(this.createRow(action, shortcut.label));
+                });
+
+            this.list.appendChild(section);
+        });
+    }
+
+    /**
+     * One action with its keys, a remove button per key and an add button
+     */
+    createRow(action, label) {
+        const row = DOMHelpers.createElement('div', { className: 'shortcut-row' });
+        row.appendChild(DOMHelpers.createElement('span', { className: 'shortcut-label' }, label));
+
+        const keys = DOMHelpers.createElement('span', { className: 'shortcut-keys' });
+        this.keyboard.bindings[action].forEach(keyCombo => {
+            const key = DOMHelpers.createElement('span', { className: 'shortcut-key' });
+            key.appendChild(DOMHelpers.createElement('kbd', {}, this.keyboard.formatKeyCombo(keyCombo)));
+            key.appendChild(DOMHelpers.createElement('button', {
+                className: 'shortcut-remove',
+                title: 'Entfernen\nRemove',
+                'data-action': action,
+                'data-key': keyCombo
+            }, '×'));
+            keys.appendChild(key);
+        });
+
+        const isRecording = this.recordingAction === action;
+        keys.appendChild(DOMHelpers.createElement('button', {
+            className: `shortcut-add${isRecording ? ' recording' : ''}`,
+            title: 'Taste hinzufügen\nAdd key',
+            'data-action': action
+        }, isRecording ? 'Taste drücken…' : '+'));
+
+        row.appendChild(keys);
+        return row;
+    }
+
+    /**
+     * Show a message in the footer
+     */
+    setStatus(message, isError = false) {
+        DOMHelpers.setContent(this.status, message);
+        DOMHelpers.toggleClass(this.status, 'error', isError);
+    }
+
+    /**
+     * Show the overlay for the given shortcut context, or hide it if it is open
+     */
+    toggle(context) {
+        if (this.isVisible()) {
+            this.hide();
+        } else {
+            this.show(context);
+        }
+    }
+
+    /**
+     * Show the overlay and move the focus into it
+     */
+    show(context = 'player') {
+        this.context = context;
+        this.setStatus('');
+        this.render();
+        this.returnFocus = document.activeElement;
+        DOMHelpers.toggleClass(this.container, 'hidden', false);
+        this.closeButton.focus();
+    }
+
+    /**
+     * Hide the overlay and give the focus back to where it was
+     */
+    hide() {
+        const wasVisible = this.isVisible();
+        this.recordingAction = null;
+        DOMHelpers.toggleClass(this.container, 'hidden', true);
+
+        if (wasVisible && this.returnFocus && document.contains(this.returnFocus)) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    /**
+     * Check if the overlay is visible
+     */
+    isVisible() {
+        return this.container ? !DOMHelpers.hasClass(this.container, 'hidden') : false;
+    }
+}
@@ -0,0 +1,133 @@
+/**
+ * Speed control panel: continuous playback speed and auto-tempo toggle
+ */
+import { CONFIG } from '../config.js';
+import { DOMHelpers } from '../utils/dom-helpers.js';
+
+export class SpeedControl {
+    constructor() {
+        // DOM elements
+        this.container = null;
+        this.toggleButton = null;
+        this.slider = null;
+        this.valueLabel = null;
+        this.autoRampCheckbox = null;
+
+        // Callbacks
+        this.onSpeedChange = null;
+        this.onAutoRampChange = null;
+    }
+
+    /**
+     * Initialize the panel; the toggle button opens and closes it
+     */
+    initialize(container, toggleButton) {
+        this.container = container;
+        this.toggleButton = toggleButton;
+        this.createLayout();
+        this.setupEventListeners();
+        this.hide();
+    }
+
+    /**
+     * Create the panel layout
+     */
+    createLayout() {
+        this.container.innerHTML = '';
+
+        const { min, max, step } = CONFIG.speedRange;
+        const row = DOMHelpers.createElement('div', { className: 'speed-panel-row' });
+        this.slider = DOMHelpers.createElement('input', {
+            type: 'range',
+            className: 'speed-slider',
+            id: 'speedSlider',
+            min: Math.round(min * 100),
+            max: Math.round(max * 100),
+            step: Math.round(step * 100),
+            value: 100,
+            title: 'Geschwindigkeit\nSpeed'
+        });
+        this.valueLabel = DOMHelpers.createElement('span', { className: 'speed-value' }, '100%');
+        row.appendChild(this.slider);
+        row.appendChild(this.valueLabel);
+
+        const autoRamp = DOMHelpers.createElement('label', {
+            className: 'speed-auto-ramp',
+            title: 'Jeden Satz langsam beginnen und bei jeder Wiederholung schneller abspielen\nStart each sentence slow and speed up on every replay'
+        });
+        this.autoRampCheckbox = DOMHelpers.createElement('input', { type: 'checkbox', id: 'autoRampCheckbox' });
+        autoRamp.appendChild(this.autoRampCheckbox);
+        autoRamp.appendChild(document.createTextNode(' Auto-Tempo'));
+
+        this.container.appendChild(row);
+        this.container.appendChild(autoRamp);
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        DOMHelpers.addEventListener(this.toggleButton, 'click', (e) => {
+            e.stopPropagation();
+            if (this.isVisible()) {
+                this.hide();
+            } else {
+                this.show();
+            }
+        });
+
+        DOMHelpers.addEventListener(this.slider, 'input', () => {
+            const speed = Number(this.slider.value) / 100;
+            this.updateValueLabel(speed);
+            if (this.onSpeedChange) this.onSpeedChange(speed);
+        });
+
+        DOMHelpers.addEventListener(this.autoRampCheckbox, 'change', () => {
+            if (this.onAutoRampChange) this.onAutoRampChange(this.autoRampCheckbox.checked);
+        });
+
+        // Close when clicking anywhere else
+        DOMHelpers.addEventListener(document, 'click', (e) => {
+            if (this.isVisible() && !this.container.contains(e.target)) {
+                this.hide();
+            }
+        });
+    }
+
+    /**
+     * Reflect the current speed and auto-tempo setting
+     */
+    setValues(speed, autoRamp) {
+        if (this.slider) this.slider.value = Math.round(speed * 100);
+        if (this.autoRampCheckbox) this.autoRampCheckbox.checked = autoRamp;
+        this.updateValueLabel(speed);
+    }
+
+    /**
+     * Update the percentage label
+     */
+    updateValueLabel(speed) {
+        DOMHelpers.setContent(this.valueLabel, `${Math.round(speed * 100)}%`);
+    }
+
+    /**
+     * Show the panel
+     */
+    show() {
+        DOMHelpers.toggleDisplay(this.container, true, 'flex');
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        DOMHelpers.toggleDisplay(this.container, false);
+    }
+
+    /**
+     * Check if the panel is visible
+     */
+    isVisible() {
+        return this.container && this.container.style.display !== 'none';
+    }
+}
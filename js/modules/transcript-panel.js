@@ -0,0 +1,199 @@
+/**
+ * Collapsible transcript of the whole lesson with per-sentence status
+ */
+import { DOMHelpers } from '../utils/dom-helpers.js';
+
+const STATUS_ICONS = {
+    unanswered: '·',
+    correct: '✓',
+    wrong: '✗'
+};
+
+export class TranscriptPanel {
+    constructor() {
+        // State
+        this.cues = [];
+        this.statuses = [];
+        this.currentIndex = 0;
+        this.isBlind = false;
+
+        // DOM elements
+        this.container = null;
+        this.toggleButton = null;
+        this.list = null;
+        this.blindCheckbox = null;
+
+        // Callbacks
+        this.onSelect = null;
+        this.onBlindChange = null;
+    }
+
+    /**
+     * Initialize the panel; the toggle button opens and collapses it
+     */
+    initialize(container, toggleButton) {
+        this.container = container;
+        this.toggleButton = toggleButton;
+        this.createLayout();
+        this.setupEventListeners();
+        this.hide();
+    }
+
+    /**
+     * Create the panel layout
+     */
+    createLayout() {
+        this.container.innerHTML = '';
+
+        const header = DOMHelpers.createElement('div', { className: 'transcript-header' });
+        header.appendChild(DOMHelpers.createElement('span', { className: 'transcript-title' }, 'Transkript'));
+
+        const blind = DOMHelpers.createElement('label', {
+            className: 'transcript-blind',
+            title: 'Nur beantwortete Sätze zeigen\nOnly show answered sentences'
+        });
+        this.blindCheckbox = DOMHelpers.createElement('input', { type: 'checkbox', id: 'transcriptBlindCheckbox' });
+        blind.appendChild(this.blindCheckbox);
+        blind.appendChild(document.createTextNode(' Blind hören'));
+        header.appendChild(blind);
+
+        this.list = DOMHelpers.createElement('ol', { className: 'transcript-list' });
+
+        this.container.appendChild(header);
+        this.container.appendChild(this.list);
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        DOMHelpers.addEventListener(this.toggleButton, 'click', () => {
+            if (this.isVisible()) {
+                this.hide();
+            } else {
+                this.show();
+            }
+        });
+
+        DOMHelpers.addEventListener(this.blindCheckbox, 'change', () => {
+            this.setBlind(this.blindCheckbox.checked);
+            if (this.onBlindChange) this.onBlindChange(this.isBlind);
+        });
+
+        DOMHelpers.addEventListener(this.list, 'click', (e) => {
+            const row = e.target.closest('.transcript-row');
+            if (row && this.onSelect) this.onSelect(Number(row.dataset.index));
+        });
+    }
+
+    /**
+     * Show the sentences of a lesson (an empty list disables the panel)
+     */
+    setCues(cues, statuses, currentIndex) {
+        this.cues = cues;
+        this.statuses = statuses;
+        this.currentIndex = currentIndex;
+        if (!this.container) return;
+
+        this.toggleButton.disabled = cues.length === 0;
+        if (cues.length === 0) this.hide();
+        this.render();
+    }
+
+    /**
+     * Update the per-sentence status (unanswered, correct, wrong)
+     */
+    setStatuses(statuses) {
+        this.statuses = statuses;
+        this.render();
+    }
+
+    /**
+     * Follow the current sentence
+     */
+    setCurrent(index) {
+        this.currentIndex = index;
+        if (!this.list) return;
+
+        this.list.querySelectorAll('.transcript-row').forEach(row => {
+            DOMHelpers.toggleClass(row, 'current', Number(row.dataset.index) === index);
+        });
+        this.scrollToCurrent();
+    }
+
+    /**
+     * Blind listening: hide the text of sentences that are not answered yet
+     */
+    setBlind(isBlind) {
+        this.isBlind = isBlind;
+        if (this.blindCheckbox) this.blindCheckbox.checked = isBlind;
+        this.render();
+    }
+
+    /**
+     * Render all sentence rows
+     */
+    render() {
+        if (!this.list) return;
+
+        this.list.innerHTML = '';
+
+        this.cues.forEach((cue, index) => {
+            const status = this.statuses[index] || 'unanswered';
+            const isMasked = this.isBlind && status === 'unanswered';
+
+            // A button in the list item, so the sentence can be reached and chosen by keyboard
+            const item = DOMHelpers.createElement('li');
+            const row = DOMHelpers.createElement('button', {
+                className: `transcript-row ${status}${index === this.currentIndex ? ' current' : ''}`,
+                'data-index': index,
+                title: 'Zu diesem Satz springen\nJump to this sentence'
+            });
+            row.appendChild(DOMHelpers.createElement('span', { className: 'transcript-number' }, String(index + 1)));
+            row.appendChild(DOMHelpers.createElement('span', {
+                className: `transcript-text${isMasked ? ' masked' : ''}`
+            }, isMasked ? '• • •' : cue.text));
+            row.appendChild(DOMHelpers.createElement('span', { className: 'transcript-status' }, STATUS_ICONS[status]));
+            item.appendChild(row);
+            this.list.appendChild(item);
+        });
+
+        this.scrollToCurrent();
+    }
+
+    /**
+     * Keep the current sentence visible inside the list
+     */
+    scrollToCurrent() {
+        if (!this.isVisible()) return;
+
+        const row = this.list.querySelector('.transcript-row.current');
+        if (row) {
+            this.list.scrollTop = row.offsetTop - this.list.clientHeight / 2 + row.clientHeight / 2;
+        }
+    }
+
+    /**
+     * Show the panel
+     */
+    show() {
+        DOMHelpers.toggleClass(this.container, 'hidden', false);
+        DOMHelpers.toggleClass(this.toggleButton, 'active', true);
+        this.scrollToCurrent();
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        DOMHelpers.toggleClass(this.container, 'hidden', true);
+        DOMHelpers.toggleClass(this.toggleButton, 'active', false);
+    }
+
+    /**
+     * Check if the panel is visible
+     */
+    isVisible() {
+        return this.container ? !DOMHelpers.hasClass(this.container, 'hidden') : false;
+    }
+}
@@ -0,0 +1,375 @@
+/**
+ * VTT validator: checks cues and their embedded questions and reports
+ * problems with line numbers (works in the browser and in Node)
+ */
+import { CONFIG } from '../config.js';
+
+const TIMESTAMP_PATTERN = /^(\d{2,}:)?\d{2}:\d{2}[.,]\d{3}$/;
+const WORD_TIMESTAMP_PATTERN = /^(\d{2,}:)?\d{2}:\d{2}\.\d{3}$/;
+const QUESTION_TYPES = Object.values(CONFIG.exerciseModes);
+const KNOWN_FIELDS = new Set([
+    'type', 'question', 'questionTranslations', 'options', 'optionTranslations', 'correct', 'explanation',
+    'answer', 'words', 'gaps', 'rule', 'every'
+]);
+
+export class VTTValidator {
+    /**
+     * Validate a VTT file.
+     * Returns { cueCount, errors, warnings } with diagnostics of { line, message } (1-based lines)
+     */
+    validate(vttText) {
+        const result = { cueCount: 0, errors: [], warnings: [] };
+        const error = (line, message) => result.errors.push({ line, message });
+        const warning = (line, message) => result.warnings.push({ line, message });
+
+        if (typeof vttText !== 'string' || vttText.trim() === '') {
+            error(1, 'File is empty');
+            return result;
+        }
+
+        const lines = vttText.split('\n');
+        if (!lines[0].replace(/^\uFEFF/, '').startsWith('WEBVTT')) {
+            warning(1, 'File does not start with "WEBVTT"');
+        }
+
+        // Same cue detection as LessonLoader.parseVTTWithQuestions
+        lines.forEach((line, index) => {
+            if (line.includes('-->')) {
+                result.cueCount++;
+                this.validateCue(lines, index, error, warning);
+            }
+        });
+
+        if (result.cueCount === 0) {
+            error(1, 'No cues found (no line contains "-->")');
+        }
+
+        result.errors.sort((a, b) => a.line - b.line);
+        result.warnings.sort((a, b) => a.line - b.line);
+        return result;
+    }
+
+    /**
+     * Validate one cue starting at its timing line (mirrors LessonLoader.parseCueWithQuestions)
+     */
+    validateCue(lines, timeLineIndex, error, warning) {
+        const timeLineNumber = timeLineIndex + 1;
+        const [startText, endPart] = lines[timeLineIndex].trim().split('-->').map(part => part.trim());
+        const endText = (endPart || '').split(' ')[0];
+
+        const times = [startText, endText].map(text => {
+            if (!TIMESTAMP_PATTERN.test(text)) {
+                error(timeLineNumber, `Invalid timestamp "${text}" (expected HH:MM:SS.mmm)`);
+                return null;
+            }
+            return this.parseTimestamp(text);
+        });
+        if (times[0] !== null && times[1] !== null && times[1] <= times[0]) {
+            error(timeLineNumber, `Cue ends (${endText}) before it starts (${startText})`);
+        }
+
+        // Collect text and the JSON block the way the loader does
+        let text = '';
+        const textLines = [];
+        let jsonString = '';
+        let blockStartIndex = -1;
+        let jsonStartIndex = -1;
+        let jsonEndIndex = -1;
+        let collectingJson = false;
+        let index = timeLineIndex + 1;
+
+        while (index < lines.length) {
+            const line = lines[index].trim();
+
+            if (!collectingJson && (line === '' || line.includes('-->'))) {
+                break;
+            }
+
+            if (line.startsWith('{"questions"')) {
+                // The loader restarts here even in the middle of an unclosed block
+                collectingJson = true;
+                jsonString = line;
+                jsonStartIndex = index;
+                if (blockStartIndex === -1) blockStartIndex = index;
+            } else if (collectingJson) {
+                jsonString += '\n' + line;
+                const openBraces = (jsonString.match(/{/g) || []).length;
+                const closeBraces = (jsonString.match(/}/g) || []).length;
+                if (openBraces === closeBraces && openBraces > 0) {
+                    jsonEndIndex = index;
+                    break;
+                }
+            } else if (line.startsWith('{')) {
+                error(index + 1, 'Question JSON must start with {"questions" exactly; this line is read as cue text');
+            } else {
+                if (text) text += ' ';
+                text += line;
+                textLines.push({ line, lineNumber: index + 1 });
+            }
+            index++;
+        }
+
+        if (!text.replace(/<[^>]*>/g, '').trim()) {
+            error(timeLineNumber, 'Cue has no text and is skipped by the loader');
+        }
+
+        this.validateWordTimestamps(textLines, times, error, warning);
+
+        if (!jsonString) return;
+
+        const jsonLineNumber = jsonStartIndex + 1;
+        const blockEndIndex = jsonEndIndex === -1 ? lines.length - 1 : jsonEndIndex;
+        const swallowedCue = lines.slice(blockStartIndex + 1, blockEndIndex + 1).findIndex(line => line.includes('-->'));
+        if (swallowedCue !== -1) {
+            error(blockStartIndex + 1, `Question block is not closed before the next cue on line ${blockStartIndex + swallowedCue + 2} (unbalanced braces)`);
+            return;
+        }
+
+        const nextLine = lines[blockEndIndex + 1] || '';
+        if (lines[blockEndIndex].trim() !== '' && nextLine.trim() !== '' && !nextLine.includes('-->')) {
+            warning(blockEndIndex + 2, 'Line after the question block is ignored by the loader');
+        }
+
+        let data;
+        try {
+            data = JSON.parse(jsonString);
+        } catch (e) {
+            error(jsonLineNumber + this.getErrorLineOffset(e, jsonString), `Invalid question JSON: ${e.message}`);
+            return;
+        }
+
+        if (!data || !Array.isArray(data.questions)) {
+            error(jsonLineNumber, '"questions" must be an array');
+            return;
+        }
+
+        data.questions.forEach((question, questionIndex) => {
+            const questionLine = jsonLineNumber + this.findQuestionLineOffset(lines, jsonStartIndex, questionIndex);
+            this.validateQuestion(question, questionIndex, questionLine, error, warning);
+        });
+    }
+
+    /**
+     * Check a question against the schema
+     */
+    validateQuestion(question, questionIndex, line, error, warning) {
+        const label = `Question ${questionIndex + 1}`;
+
+        if (!question || typeof question !== 'object' || Array.isArray(question)) {
+            error(line, `${label}: must be an object`);
+            return;
+        }
+
+        Object.keys(question)
+            .filter(field => !KNOWN_FIELDS.has(field))
+            .forEach(field => warning(line, `${label}: unknown field "${field}"`));
+
+        if (!QUESTION_TYPES.includes(question.type)) {
+            error(line, `${label}: type "${question.type}" is not one of ${QUESTION_TYPES.join(', ')}`);
+        }
+        if (typeof question.question !== 'string' || question.question.trim() === '') {
+            error(line, `${label}: "question" must be a non-empty string`);
+        }
+        if (question.explanation !== undefined && typeof question.explanation !== 'string') {
+            error(line, `${label}: "explanation" must be a string`);
+        }
+
+        this.validateTranslations(question.questionTranslations, [question.question], `${label}: questionTranslations`, line, error, warning);
+
+        // Typed answers have their own schema instead of options
+        if (question.type === CONFIG.exerciseModes.DICTATION) {
+            this.validateDictation(question, label, line, error);
+            return;
+        }
+        if (question.type === CONFIG.exerciseModes.CLOZE) {
+            this.validateCloze(question, label, line, error);
+            return;
+        }
+
+        const options = question.options;
+        if (!Array.isArray(options) || options.length < 2) {
+            error(line, `${label}: "options" must be an array with at least 2 entries`);
+            return;
+        }
+        options.forEach((option, optionIndex) => {
+            if (typeof option !== 'string' || option.trim() === '') {
+                error(line, `${label}: option ${optionIndex + 1} must be a non-empty string`);
+            }
+        });
+
+        if (!Number.isInteger(question.correct) || question.correct < 0 || question.correct >= options.length) {
+            error(line, `${label}: "correct" is ${JSON.stringify(question.correct)}, expected 0-${options.length - 1}`);
+        }
+
+        if (question.type === CONFIG.exerciseModes.SEQUENCING) {
+            options.forEach((option, optionIndex) => {
+                if (typeof option === 'string' && !option.includes(' - ')) {
+                    error(line, `${label}: sequencing option ${optionIndex + 1} has no " - " segments`);
+                }
+            });
+        }
+
+        this.validateTranslations(question.optionTranslations, options, `${label}: optionTranslations`, line, error, warning);
+    }
+
+    /**
+     * Dictation: the expected text is optional (the cue text is used without it)
+     */
+    validateDictation(question, label, line, error) {
+        if (question.answer !== undefined && (typeof question.answer !== 'string' || question.answer.trim() === '')) {
+            error(line, `${label}: "answer" must be a non-empty string`);
+        }
+    }
+
+    /**
+     * Cloze: the sentence as words and the indices of the words to blank
+     */
+    validateCloze(question, label, line, error) {
+        const words = question.words;
+        if (!Array.isArray(words) || words.length === 0 || words.some(word => typeof word !== 'string' || word === '')) {
+            error(line, `${label}: "words" must be an array of non-empty strings`);
+            return;
+        }
+
+        const gaps = question.gaps;
+        if (!Array.isArray(gaps) || gaps.length === 0) {
+            error(line, `${label}: "gaps" must be an array with at least 1 word index`);
+            return;
+        }
+        gaps.forEach(gap => {
+            if (!Number.isInteger(gap) || gap < 0 || gap >= words.length) {
+                error(line, `${label}: gap ${JSON.stringify(gap)} is not a word index (0-${words.length - 1})`);
+            }
+        });
+
+        if (question.rule !== undefined && !Object.prototype.hasOwnProperty.call(CONFIG.cloze.ruleNames, question.rule)) {
+            error(line, `${label}: rule "${question.rule}" is not one of ${Object.keys(CONFIG.cloze.ruleNames).join(', ')}`);
+        }
+        if (question.every !== undefined && (!Number.isInteger(question.every) || question.every < 1)) {
+            error(line, `${label}: "every" must be a positive integer`);
+        }
+    }
+
+    /**
+     * Inline word timestamps (<00:00:01.200>) must be well-formed, inside the cue and increasing
+     */
+    validateWordTimestamps(textLines, [cueStart, cueEnd], error, warning) {
+        let previous = cueStart;
+
+        textLines.forEach(({ line, lineNumber }) => {
+            for (const match of line.matchAll(/<([\d:.,]+)>/g)) {
+                const tag = match[1];
+                if (!WORD_TIMESTAMP_PATTERN.test(tag)) {
+                    error(lineNumber, `Invalid word timestamp <${tag}> (expected <HH:MM:SS.mmm>); the loader ignores it`);
+                    continue;
+                }
+
+                const time = this.parseTimestamp(tag);
+                if (cueStart !== null && cueEnd !== null && (time < cueStart || time > cueEnd)) {
+                    warning(lineNumber, `Word timestamp <${tag}> is outside the cue and is ignored`);
+                } else if (previous !== null && time < previous) {
+                    warning(lineNumber, `Word timestamp <${tag}> is earlier than the one before it and is ignored`);
+                } else {
+                    previous = time;
+                }
+            }
+        });
+    }
+
+    /**
+     * Translation keys must occur in the text they translate
+     */
+    validateTranslations(translations, texts, label, line, error, warning) {
+        if (translations === undefined) return;
+
+        if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+            error(line, `${label} must be an object`);
+            return;
+        }
+
+        const strings = texts.filter(text => typeof text === 'string');
+        Object.entries(translations).forEach(([key, value]) => {
+            if (typeof value !== 'string' || value.trim() === '') {
+                error(line, `${label}: "${key}" has no translation`);
+            }
+
+            if (!strings.some(text => text.includes(key))) {
+                error(line, `${label}: "${key}" does not appear in the text`);
+            } else if (!strings.some(text => this.matchesLikeQuizController(text, key))) {
+                // QuizController.createTranslatableText uses \b, which does not see umlauts as word characters
+                warning(line, `${label}: "${key}" appears in the text but will not be highlighted (word boundary)`);
+            }
+        });
+    }
+
+    /**
+     * Same whole-word match QuizController uses to mark translatable words
+     */
+    matchesLikeQuizController(text, key) {
+        const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`\\b${escaped}\\b`).test(text);
+    }
+
+    /**
+     * Line offset of the n-th question object inside the JSON block (objects at depth 2)
+     */
+    findQuestionLineOffset(lines, jsonStartIndex, questionIndex) {
+        let depth = 0;
+        let found = -1;
+        let inString = false;
+
+        for (let index = jsonStartIndex; index < lines.length; index++) {
+            const line = lines[index];
+            for (let i = 0; i < line.length; i++) {
+                const char = line[i];
+                if (inString) {
+                    if (char === '\\') i++;
+                    else if (char === '"') inString = false;
+                } else if (char === '"') {
+                    inString = true;
+                } else if (char === '{' || char === '[') {
+                    depth++;
+                    if (char === '{' && depth === 3 && ++found === questionIndex) {
+                        return index - jsonStartIndex;
+                    }
+                } else if (char === '}' || char === ']') {
+                    depth--;
+                    if (depth === 0) return 0;
+                }
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * Turn a JSON.parse error position into a line offset within the block
+     */
+    getErrorLineOffset(parseError, jsonString) {
+        const lineMatch = /line (\d+)/.exec(parseError.message);
+        if (lineMatch) {
+            return Number(lineMatch[1]) - 1;
+        }
+
+        const positionMatch = /position (\d+)/.exec(parseError.message);
+        if (positionMatch) {
+            return jsonString.slice(0, Number(positionMatch[1])).split('\n').length - 1;
+        }
+
+        return 0;
+    }
+
+    /**
+     * Parse a validated timestamp to seconds
+     */
+    parseTimestamp(text) {
+        return text.split(':').reduce((total, part) => total * 60 + parseFloat(part.replace(',', '.')), 0);
+    }
+
+    /**
+     * Format a diagnostic as "file:line: level: message"
+     */
+    formatDiagnostic(diagnostic, level, fileName = 'vtt') {
+        return `${fileName}:${diagnostic.line}: ${level}: ${diagnostic.message}`;
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * VTT writer: serializes cues with embedded questions in the format
+ * LessonLoader.parseVTTWithQuestions reads back
+ */
+import { TextHelpers } from '../utils/text-helpers.js';
+
+// Usual field order in the lesson files; other fields (answer, words, gaps, ...) follow unchanged
+const FIELD_ORDER = ['type', 'question', 'questionTranslations', 'options', 'optionTranslations', 'correct', 'explanation'];
+
+export class VTTWriter {
+    /**
+     * Serialize cues to a complete VTT file
+     */
+    serialize(cues) {
+        const blocks = cues.map((cue, index) => this.serializeCue(cue, index));
+        return `WEBVTT\n\n${blocks.join('\n\n')}\n`;
+    }
+
+    /**
+     * Serialize one cue: id, timing, text and (optionally) the questions block
+     */
+    serializeCue(cue, index) {
+        const lines = [
+            String(index + 1),
+            `${this.formatTime(cue.start)} --> ${this.formatTime(cue.end)}`,
+            this.formatCueText(cue)
+        ];
+
+        // Generated questions are rebuilt at load time and never written back
+        const questions = (cue.questions || []).filter(question => !question.generated);
+        if (questions.length > 0) {
+            lines.push(this.serializeQuestions(questions));
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Serialize questions as a multi-line block. The first line must start with
+     * {"questions" and the block must span several lines for the brace counting parser.
+     */
+    serializeQuestions(questions) {
+        const body = questions
+            .map(question => this.indent(this.escapeBraces(JSON.stringify(this.cleanQuestion(question), null, 2))))
+            .join(',\n');
+
+        return `{"questions": [\n${body}\n]}`;
+    }
+
+    /**
+     * Drop empty optional fields so the file stays readable; every other field is kept
+     */
+    cleanQuestion(question) {
+        const keys = [
+            ...FIELD_ORDER.filter(key => key in question),
+            ...Object.keys(question).filter(key => !FIELD_ORDER.includes(key))
+        ];
+
+        const cleaned = {};
+        keys.forEach(key => {
+            if (!this.isEmptyOptional(key, question[key])) {
+                cleaned[key] = question[key];
+            }
+        });
+        return cleaned;
+    }
+
+    /**
+     * Check if a field can be left out: no value, no translations or no explanation
+     */
+    isEmptyOptional(key, value) {
+        if (value === undefined) return true;
+        if (key === 'questionTranslations' || key === 'optionTranslations') {
+            return !value || Object.keys(value).length === 0;
+        }
+        return key === 'explanation' && !value;
+    }
+
+    /**
+     * Cue text on one line, with <c.gap> tags around tagged words and
+     * <00:00:01.200> timestamps before words that start a new timed segment
+     */
+    formatCueText(cue) {
+        const gapWords = new Set(cue.gapWords || []);
+        const words = cue.words || [];
+        const text = (cue.text || '').replace(/\s+/g, ' ').trim();
+        if (gapWords.size === 0 && words.length === 0) {
+            return text;
+        }
+
+        return TextHelpers.tokenize(text)
+            .map((word, index) => {
+                const timing = words[index];
+                const previousStart = index > 0 && words[index - 1] ? words[index - 1].start : cue.start;
+                const timestamp = timing && timing.start > previousStart ? `<${this.formatTime(timing.start)}>` : '';
+
+                const core = TextHelpers.stripPunctuation(word);
+                if (!gapWords.has(index) || !core) return timestamp + word;
+
+                const start = word.indexOf(core);
+                return `${timestamp}${word.slice(0, start)}<c.gap>${core}</c>${word.slice(start + core.length)}`;
+            })
+            .join(' ');
+    }
+
+    /**
+     * Format seconds as HH:MM:SS.mmm
+     */
+    formatTime(seconds) {
+        const totalMs = Math.max(0, Math.round((seconds || 0) * 1000));
+        const hours = Math.floor(totalMs / 3600000);
+        const minutes = Math.floor((totalMs % 3600000) / 60000);
+        const secs = Math.floor((totalMs % 60000) / 1000);
+        const ms = totalMs % 1000;
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+        return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+    }
+
+    /**
+     * Escape braces inside JSON strings so they do not throw off the brace counting
+     */
+    escapeBraces(json) {
+        return json.replace(/"(?:[^"\\]|\\.)*"/g, literal => literal
+            .replace(/{/g, '\\u007b')
+            .replace(/}/g, '\\u007d'));
+    }
+
+    /**
+     * Indent every line of a block by two spaces
+     */
+    indent(block) {
+        return block.split('\n').map(line => `  ${line}`).join('\n');
+    }
+}
@@ -0,0 +1,388 @@
+/**
+ * Waveform editor: draws the lesson audio with cue regions and lets
+ * authors drag cue start/end handles
+ */
+import { CONFIG } from '../config.js';
+import { DOMHelpers } from '../utils/dom-helpers.js';
+
+export class WaveformEditor {
+    constructor() {
+        // State
+        this.cues = [];
+        this.peaks = [];
+        this.duration = 0;
+        this.pixelsPerSecond = CONFIG.timingEditor.pixelsPerSecond;
+        this.selectedCueIndex = null;
+        this.drag = null;
+        this.playhead = null;
+
+        // DOM elements
+        this.container = null;
+        this.scroller = null;
+        this.canvas = null;
+        this.context = null;
+        this.playheadLine = null;
+        this.auditionButton = null;
+        this.info = null;
+
+        // Callbacks
+        this.onCueChange = null;
+        this.onSelect = null;
+        this.onAudition = null;
+    }
+
+    /**
+     * Initialize the waveform editor
+     */
+    initialize(container) {
+        this.container = container;
+        this.createLayout();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Create the waveform layout
+     */
+    createLayout() {
+        this.container.innerHTML = '';
+
+        const toolbar = DOMHelpers.createElement('div', { className: 'waveform-toolbar' });
+        this.auditionButton = DOMHelpers.createElement('button', {
+            className: 'toggle-btn secondary-btn',
+            title: 'Abschnitt anhören\nAudition region',
+            disabled: true
+        }, '▶');
+        this.info = DOMHelpers.createElement('span', { className: 'waveform-info' }, 'Audio wird geladen …');
+        toolbar.appendChild(this.auditionButton);
+        toolbar.appendChild(this.info);
+
+        this.scroller = DOMHelpers.createElement('div', { className: 'waveform-scroller' });
+        this.canvas = DOMHelpers.createElement('canvas', { className: 'waveform-canvas' });
+        this.canvas.height = CONFIG.timingEditor.height;
+        this.context = this.canvas.getContext('2d');
+        this.scroller.appendChild(this.canvas);
+
+        // The playhead moves on every timeupdate: an element over the canvas, so the waveform is not redrawn
+        this.playheadLine = DOMHelpers.createElement('div', { className: 'waveform-playhead' });
+        this.scroller.appendChild(this.playheadLine);
+
+        this.container.appendChild(toolbar);
+        this.container.appendChild(this.scroller);
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        DOMHelpers.addEventListener(this.auditionButton, 'click', () => {
+            const cue = this.cues[this.selectedCueIndex];
+            if (cue && this.onAudition) this.onAudition(cue);
+        });
+
+        DOMHelpers.addEventListener(this.canvas, 'pointerdown', (e) => this.handlePointerDown(e));
+        DOMHelpers.addEventListener(this.canvas, 'pointermove', (e) => this.handlePointerMove(e));
+        DOMHelpers.addEventListener(this.canvas, 'pointerup', (e) => this.handlePointerUp(e));
+        DOMHelpers.addEventListener(this.canvas, 'pointercancel', (e) => this.handlePointerUp(e));
+    }
+
+    /**
+     * Set the cues to edit (edited in place)
+     */
+    setCues(cues) {
+        this.cues = cues;
+        this.selectedCueIndex = null;
+        this.updateInfo();
+        this.draw();
+    }
+
+    /**
+     * Decode the lesson audio and compute the waveform peaks
+     */
+    async loadAudio(audioUrl) {
+        this.peaks = [];
+        this.duration = 0;
+        DOMHelpers.setContent(this.info, 'Audio wird geladen …');
+        this.draw();
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            DOMHelpers.setContent(this.info, 'Web Audio wird von diesem Browser nicht unterstützt');
+            return;
+        }
+
+        const audioContext = new AudioContextClass();
+        try {
+            const response = await fetch(audioUrl);
+            if (!response.ok) {
+                throw new Error(`Audio file not found: ${response.status} ${response.statusText}`);
+            }
+
+            const buffer = await audioContext.decodeAudioData(await response.arrayBuffer());
+            this.duration = buffer.duration;
+            this.pixelsPerSecond = Math.min(
+                CONFIG.timingEditor.pixelsPerSecond,
+                CONFIG.timingEditor.maxCanvasWidth / buffer.duration
+            );
+            this.peaks = this.computePeaks(buffer, Math.ceil(buffer.duration * this.pixelsPerSecond));
+            this.updateInfo();
+            this.draw();
+        } catch (error) {
+            console.error('Failed to decode audio:', error);
+            DOMHelpers.setContent(this.info, `Audio konnte nicht dekodiert werden: ${error.message}`);
+        } finally {
+            audioContext.close();
+        }
+    }
+
+    /**
+     * Peak amplitude per pixel column (all channels mixed)
+     */
+    computePeaks(buffer, columns) {
+        const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i));
+        const samplesPerColumn = Math.max(1, Math.floor(buffer.length / columns));
+        const peaks = new Array(columns).fill(0);
+
+        for (let column = 0; column < columns; column++) {
+            const start = column * samplesPerColumn;
+            const end = Math.min(start + samplesPerColumn, buffer.length);
+            let peak = 0;
+
+            for (let i = start; i < end; i++) {
+                for (const data of channels) {
+                    const value = Math.abs(data[i]);
+                    if (value > peak) peak = value;
+                }
+            }
+            peaks[column] = peak;
+        }
+
+        return peaks;
+    }
+
+    /**
+     * Select a cue, scroll it into view and redraw
+     */
+    selectCue(cueIndex) {
+        this.selectedCueIndex = cueIndex;
+        this.auditionButton.disabled = cueIndex === null;
+        this.updateInfo();
+        this.draw();
+
+        const cue = this.cues[cueIndex];
+        if (cue && this.scroller) {
+            const left = this.timeToX(cue.start);
+            const right = this.timeToX(cue.end);
+            if (left < this.scroller.scrollLeft || right > this.scroller.scrollLeft + this.scroller.clientWidth) {
+                this.scroller.scrollLeft = Math.max(0, left - 40);
+            }
+        }
+    }
+
+    /**
+     * Move the playback position marker
+     */
+    setPlayhead(time) {
+        this.playhead = time;
+        this.updatePlayhead();
+    }
+
+    /**
+     * Place the playhead line (hidden without a position)
+     */
+    updatePlayhead() {
+        if (!this.playheadLine) return;
+
+        const visible = this.playhead !== null && this.peaks.length > 0;
+        this.playheadLine.style.display = visible ? 'block' : 'none';
+        if (visible) {
+            this.playheadLine.style.left = `${this.timeToX(this.playhead)}px`;
+        }
+    }
+
+    /**
+     * Start dragging a handle, or select the cue under the pointer
+     */
+    handlePointerDown(e) {
+        const x = this.getPointerX(e);
+        const handle = this.findHandle(x);
+
+        if (handle) {
+            this.drag = handle;
+            this.canvas.setPointerCapture(e.pointerId);
+            this.selectCue(handle.cueIndex);
+        } else {
+            const time = this.xToTime(x);
+            const cueIndex = this.cues.findIndex(cue => time >= cue.start && time <= cue.end);
+            this.selectCue(cueIndex === -1 ? null : cueIndex);
+        }
+
+        if (this.selectedCueIndex !== null && this.onSelect) {
+            this.onSelect(this.selectedCueIndex);
+        }
+    }
+
+    /**
+     * Drag a handle, or show a resize cursor over one
+     */
+    handlePointerMove(e) {
+        const x = this.getPointerX(e);
+
+        if (!this.drag) {
+            this.canvas.style.cursor = this.findHandle(x) ? 'ew-resize' : 'pointer';
+            return;
+        }
+
+        const { cueIndex, edge } = this.drag;
+        const cue = this.cues[cueIndex];
+        const neighbour = this.cues[cueIndex + (edge === 'start' ? -1 : 1)];
+        const linked = this.isLinked(cueIndex, edge);
+        const minLength = CONFIG.timingEditor.minCueLength;
+        let time = this.xToTime(x);
+
+        // Keep both cues at least minLength long; a shared boundary moves both cues
+        if (edge === 'start') {
+            const lowerBound = !neighbour ? 0 : linked ? neighbour.start + minLength : neighbour.end;
+            time = Math.max(lowerBound, Math.min(time, cue.end - minLength));
+        } else {
+            const upperBound = !neighbour ? this.duration || Infinity : linked ? neighbour.end - minLength : neighbour.start;
+            time = Math.min(upperBound, Math.max(time, cue.start + minLength));
+        }
+
+        // VTT timestamps have millisecond precision
+        time = Math.round(time * 1000) / 1000;
+        cue[edge] = time;
+        if (linked) {
+            neighbour[edge === 'start' ? 'end' : 'start'] = time;
+        }
+        this.updateInfo();
+        this.draw();
+    }
+
+    /**
+     * Finish dragging
+     */
+    handlePointerUp(e) {
+        if (!this.drag) return;
+
+        const { cueIndex, edge } = this.drag;
+        const linked = this.isLinked(cueIndex, edge);
+        this.drag = null;
+        if (this.canvas.hasPointerCapture(e.pointerId)) {
+            this.canvas.releasePointerCapture(e.pointerId);
+        }
+
+        if (this.onCueChange) {
+            this.onCueChange(cueIndex);
+            if (linked) this.onCueChange(cueIndex + (edge === 'start' ? -1 : 1));
+        }
+    }
+
+    /**
+     * Check if a cue edge touches the neighbouring cue (shared boundary)
+     */
+    isLinked(cueIndex, edge) {
+        const cue = this.cues[cueIndex];
+        if (edge === 'start') {
+            const previous = this.cues[cueIndex - 1];
+            return Boolean(previous) && Math.abs(previous.end - cue.start) < 0.001;
+        }
+        const next = this.cues[cueIndex + 1];
+        return Boolean(next) && Math.abs(next.start - cue.end) < 0.001;
+    }
+
+    /**
+     * Find the cue handle closest to x (within the handle tolerance)
+     */
+    findHandle(x) {
+        let best = null;
+        let bestDistance = CONFIG.timingEditor.handleTolerance;
+
+        this.cues.forEach((cue, cueIndex) => {
+            ['start', 'end'].forEach(edge => {
+                const distance = Math.abs(this.timeToX(cue[edge]) - x);
+                if (distance <= bestDistance) {
+                    best = { cueIndex, edge };
+                    bestDistance = distance;
+                }
+            });
+        });
+
+        return best;
+    }
+
+    /**
+     * Pointer x position in canvas pixels
+     */
+    getPointerX(e) {
+        return e.clientX - this.canvas.getBoundingClientRect().left;
+    }
+
+    /**
+     * Convert between seconds and canvas pixels
+     */
+    timeToX(time) {
+        return time * this.pixelsPerSecond;
+    }
+
+    xToTime(x) {
+        return Math.max(0, x / this.pixelsPerSecond);
+    }
+
+    /**
+     * Show the timing of the selected cue
+     */
+    updateInfo() {
+        if (!this.info || this.peaks.length === 0) return;
+
+        const cue = this.cues[this.selectedCueIndex];
+        const text = cue
+            ? `Satz ${this.selectedCueIndex + 1}: ${cue.start.toFixed(3)} – ${cue.end.toFixed(3)} s`
+            : 'Satz anklicken, Ränder ziehen';
+        DOMHelpers.setContent(this.info, text);
+    }
+
+    /**
+     * Draw cue regions, waveform and handles (the playhead is a separate element)
+     */
+    draw() {
+        if (!this.context) return;
+
+        const width = Math.max(this.peaks.length, 1);
+        const height = this.canvas.height;
+        if (this.canvas.width !== width) {
+            this.canvas.width = width;
+        }
+
+        const ctx = this.context;
+        ctx.clearRect(0, 0, width, height);
+
+        // Cue regions
+        this.cues.forEach((cue, cueIndex) => {
+            const left = this.timeToX(cue.start);
+            const right = this.timeToX(cue.end);
+            const isSelected = cueIndex === this.selectedCueIndex;
+
+            ctx.fillStyle = isSelected ? 'rgba(96, 165, 250, 0.35)' : 'rgba(147, 197, 253, 0.18)';
+            ctx.fillRect(left, 0, right - left, height);
+
+            ctx.fillStyle = isSelected ? '#2563eb' : '#93c5fd';
+            ctx.fillRect(left, 0, 2, height);
+            ctx.fillRect(right - 2, 0, 2, height);
+
+            ctx.fillStyle = '#1e40af';
+            ctx.font = '11px sans-serif';
+            ctx.fillText(String(cueIndex + 1), left + 4, 12);
+        });
+
+        // Waveform
+        const middle = height / 2;
+        ctx.fillStyle = '#4b5563';
+        this.peaks.forEach((peak, x) => {
+            const barHeight = Math.max(1, peak * (height - 20));
+            ctx.fillRect(x, middle - barHeight / 2, 1, barHeight);
+        });
+
+        // The scale may have changed
+        this.updatePlayhead();
+    }
+}
@@ -0,0 +1,108 @@
+/**
+ * Karaoke-style transcript: highlights timed words during playback, click (or Enter on) a word to seek
+ */
+import { DOMHelpers } from '../utils/dom-helpers.js';
+
+export class WordHighlighter {
+    constructor() {
+        // State
+        this.audio = null;
+        this.words = [];
+        this.wordElements = [];
+        this.frame = null;
+
+        // Callbacks
+        this.onSeek = null;
+    }
+
+    /**
+     * Follow the playback position of an audio element
+     */
+    initialize(audio) {
+        this.audio = audio;
+
+        DOMHelpers.addEventListener(audio, 'play', () => this.startTracking());
+        DOMHelpers.addEventListener(audio, 'pause', () => this.stopTracking());
+        DOMHelpers.addEventListener(audio, 'seeked', () => this.update(audio.currentTime));
+    }
+
+    /**
+     * Render a cue's text into a container; timed words become buttons, so seeking works by keyboard too
+     */
+    render(container, cue) {
+        this.stopTracking();
+        this.words = cue.words || [];
+        this.wordElements = [];
+
+        if (this.words.length === 0) {
+            DOMHelpers.setContent(container, cue.text);
+            return;
+        }
+
+        container.innerHTML = '';
+        this.words.forEach((word, index) => {
+            if (index > 0) container.appendChild(document.createTextNode(' '));
+
+            const element = DOMHelpers.createElement('button', {
+                className: 'karaoke-word',
+                title: 'Ab hier abspielen\nPlay from here'
+            }, word.text);
+            DOMHelpers.addEventListener(element, 'click', () => {
+                if (this.onSeek) this.onSeek(word.start);
+            });
+            container.appendChild(element);
+            this.wordElements.push(element);
+        });
+
+        this.update(this.audio ? this.audio.currentTime : 0);
+        if (this.audio && !this.audio.paused) {
+            this.startTracking();
+        }
+    }
+
+    /**
+     * Stop highlighting and forget the rendered words
+     */
+    clear() {
+        this.stopTracking();
+        this.words = [];
+        this.wordElements = [];
+    }
+
+    /**
+     * Mark spoken words and the word being spoken at the given time
+     */
+    update(time) {
+        this.words.forEach((word, index) => {
+            const element = this.wordElements[index];
+            DOMHelpers.toggleClass(element, 'spoken', word.end <= time);
+            DOMHelpers.toggleClass(element, 'current', word.start <= time && time < word.end);
+        });
+    }
+
+    /**
+     * Update on every animation frame while playing (timeupdate is too coarse for single words)
+     */
+    startTracking() {
+        if (this.frame !== null || this.words.length === 0) return;
+
+        const tick = () => {
+            this.update(this.audio.currentTime);
+            this.frame = requestAnimationFrame(tick);
+        };
+        tick();
+    }
+
+    /**
+     * Stop the animation frame loop
+     */
+    stopTracking() {
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        if (this.audio && this.words.length > 0) {
+            this.update(this.audio.currentTime);
+        }
+    }
+}
@@ -96,7 +96,7 @@ export class DOMHelpers {
         Object.entries(attributes).forEach(([key, value]) => {
             if (key === 'className') {
                 element.className = value;
-            } else if (key.startsWith('data-')) {
+            } else if (key.startsWith('data-') || key.startsWith('aria-') || key === 'role' || key === 'tabindex') {
                 element.setAttribute(key, value);
             } else {
                 element[key] = value;
@@ -109,4 +109,20 @@ export class DOMHelpers {
         
         return element;
     }
+    
+    /**
+     * Announce a message to screen readers through the page's live regions
+     * (#liveRegion polite, #alertRegion assertive)
+     */
+    static announce(message, assertive = false) {
+        const region = document.getElementById(assertive ? 'alertRegion' : 'liveRegion');
+        if (!region) return false;
+        
+        // Clear first so the same message is read again
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 50);
+        return true;
+    }
 }
\ No newline at end of file
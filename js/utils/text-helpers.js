@@ -0,0 +1,156 @@
+/**
+ * Text Helper Utilities for German transcripts
+ */
+
+// Articles, prepositions, conjunctions and other short words that carry little meaning
+const FUNCTION_WORDS = new Set([
+    'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'einer', 'eines',
+    'in', 'im', 'an', 'am', 'auf', 'aus', 'bei', 'beim', 'mit', 'nach', 'von', 'vom', 'zu', 'zum', 'zur',
+    'für', 'um', 'über', 'unter', 'vor', 'hinter', 'neben', 'zwischen', 'durch', 'gegen', 'ohne',
+    'und', 'oder', 'aber', 'sehr', 'so', 'nicht', 'kein', 'keine', 'ihr', 'ihre', 'sein', 'seine',
+    'mein', 'meine', 'dein', 'deine', 'unser', 'unsere'
+]);
+
+export class TextHelpers {
+    /**
+     * Split text into words
+     */
+    static tokenize(text) {
+        return (text || '').split(/\s+/).filter(word => word !== '');
+    }
+
+    /**
+     * Normalize a word for tolerant comparison:
+     * casing, punctuation and umlaut spellings (ä/ae, ö/oe, ü/ue, ß/ss)
+     */
+    static normalizeWord(word) {
+        return (word || '')
+            .toLowerCase()
+            .replace(/ä/g, 'ae')
+            .replace(/ö/g, 'oe')
+            .replace(/ü/g, 'ue')
+            .replace(/ß/g, 'ss')
+            .replace(/[^\p{L}\p{N}]/gu, '');
+    }
+
+    /**
+     * Remove leading and trailing punctuation from a word
+     */
+    static stripPunctuation(word) {
+        return (word || '').replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+    }
+
+    /**
+     * Check if a word is a function word (article, preposition, conjunction, ...)
+     */
+    static isFunctionWord(word) {
+        return FUNCTION_WORDS.has((word || '').toLowerCase());
+    }
+
+    /**
+     * Levenshtein edit distance between two strings
+     */
+    static levenshtein(a, b) {
+        const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = previous[0];
+            previous[0] = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const above = previous[j];
+                previous[j] = Math.min(
+                    previous[j] + 1,
+                    previous[j - 1] + 1,
+                    diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                diagonal = above;
+            }
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Check if two words match after normalization
+     */
+    static wordsMatch(a, b) {
+        return TextHelpers.normalizeWord(a) === TextHelpers.normalizeWord(b);
+    }
+
+    /**
+     * Check if two words are close enough to count as a misspelling
+     */
+    static wordsSimilar(a, b) {
+        const normalizedA = TextHelpers.normalizeWord(a);
+        const normalizedB = TextHelpers.normalizeWord(b);
+        const maxDistance = Math.max(1, Math.floor(Math.max(normalizedA.length, normalizedB.length) / 4));
+
+        return TextHelpers.levenshtein(normalizedA, normalizedB) <= maxDistance;
+    }
+
+    /**
+     * Align typed words against expected words.
+     * Returns entries of { status: 'correct' | 'misspelled' | 'missing' | 'extra', expected, typed }
+     */
+    static compareWords(expectedText, typedText) {
+        const expected = TextHelpers.tokenize(expectedText);
+        const typed = TextHelpers.tokenize(typedText);
+        const n = expected.length;
+        const m = typed.length;
+
+        // Substitution cost: 0 for a match, 1 for a misspelling, 2 (= missing + extra) otherwise
+        const substitutionCost = (i, j) => {
+            if (TextHelpers.wordsMatch(expected[i], typed[j])) return 0;
+            return TextHelpers.wordsSimilar(expected[i], typed[j]) ? 1 : 2;
+        };
+
+        const cost = Array.from({ length: n + 1 }, (_, i) => Array.from({ length: m + 1 }, (_, j) => i + j));
+        for (let i = 1; i <= n; i++) {
+            for (let j = 1; j <= m; j++) {
+                cost[i][j] = Math.min(
+                    cost[i - 1][j] + 1,
+                    cost[i][j - 1] + 1,
+                    cost[i - 1][j - 1] + substitutionCost(i - 1, j - 1)
+                );
+            }
+        }
+
+        // Walk back through the table
+        const entries = [];
+        let i = n;
+        let j = m;
+        while (i > 0 || j > 0) {
+            const sub = i > 0 && j > 0 ? substitutionCost(i - 1, j - 1) : null;
+
+            if (sub !== null && sub < 2 && cost[i][j] === cost[i - 1][j - 1] + sub) {
+                entries.unshift({
+                    status: sub === 0 ? 'correct' : 'misspelled',
+                    expected: expected[i - 1],
+                    typed: typed[j - 1]
+                });
+                i--;
+                j--;
+            } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+                entries.unshift({ status: 'missing', expected: expected[i - 1], typed: null });
+                i--;
+            } else {
+                entries.unshift({ status: 'extra', expected: null, typed: typed[j - 1] });
+                j--;
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Escape text for use in HTML
+     */
+    static escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
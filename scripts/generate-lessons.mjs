@@ -0,0 +1,89 @@
+/**
+ * Lesson manifest generator
+ *
+ * Scans audio/ for MP3/VTT pairs and writes lessons/lessons.json.
+ * Hand-written titles and descriptions of existing entries are kept;
+ * level and modes are always re-derived from the id and the VTT content.
+ *
+ * Usage: node scripts/generate-lessons.mjs
+ */
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+import { CONFIG } from '../js/config.js';
+import { LessonLoader } from '../js/modules/lesson-loader.js';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const audioDir = path.join(rootDir, 'audio');
+const manifestPath = path.join(rootDir, 'lessons', 'lessons.json');
+
+/**
+ * Find all lesson ids that have both an MP3 and a VTT file
+ */
+async function findLessonPairs() {
+    const files = new Set(await readdir(audioDir));
+
+    return [...files]
+        .filter(file => file.endsWith('.mp3'))
+        .map(file => file.slice(0, -'.mp3'.length))
+        .filter(lessonId => CONFIG.lessonIdPattern.test(lessonId) && files.has(`${lessonId}.vtt`));
+}
+
+/**
+ * Sort lesson ids by level order, then by id
+ */
+function compareLessons(loader, a, b) {
+    const levelA = CONFIG.lessonLevels.indexOf(loader.getLevelFromId(a));
+    const levelB = CONFIG.lessonLevels.indexOf(loader.getLevelFromId(b));
+    return levelA - levelB || a.localeCompare(b, 'en', { numeric: true });
+}
+
+/**
+ * Read the current manifest, if there is one
+ */
+async function readExistingManifest() {
+    try {
+        return JSON.parse(await readFile(manifestPath, 'utf8'));
+    } catch (error) {
+        return {};
+    }
+}
+
+async function main() {
+    const loader = new LessonLoader();
+    const existing = await readExistingManifest();
+    const lessonIds = (await findLessonPairs()).sort((a, b) => compareLessons(loader, a, b));
+
+    // The parser logs every cue; keep the generator output readable
+    const log = console.log;
+    console.log = () => {};
+
+    const manifest = {};
+    for (const lessonId of lessonIds) {
+        const vttText = await readFile(path.join(audioDir, `${lessonId}.vtt`), 'utf8');
+        const generated = loader.createLessonEntry(lessonId, loader.parseVTTWithQuestions(vttText));
+        const previous = existing[lessonId] || {};
+
+        manifest[lessonId] = {
+            title: previous.title || generated.title,
+            audioUrl: generated.audioUrl,
+            vttUrl: generated.vttUrl,
+            level: generated.level,
+            description: previous.description || generated.description,
+            modes: generated.modes
+        };
+    }
+
+    console.log = log;
+
+    await writeFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+
+    const withQuestions = Object.values(manifest).filter(lesson => lesson.modes.length > 0).length;
+    console.log(`Wrote ${lessonIds.length} lessons (${withQuestions} with questions) to ${path.relative(rootDir, manifestPath)}`);
+}
+
+main().catch(error => {
+    console.error('Failed to generate lesson manifest:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,101 @@
+/**
+ * Stub LRS for testing the xAPI reporting locally
+ *
+ * Accepts statements at POST /xapi/statements, prints a summary of each one
+ * and lists everything received at GET /xapi/statements. Nothing is stored on disk.
+ *
+ * Usage: node scripts/stub-lrs.mjs [port]   (default: 8085)
+ * Then open index.html?endpoint=http://localhost:8085/xapi/
+ */
+import { createServer } from 'node:http';
+import { randomUUID } from 'node:crypto';
+
+const port = Number(process.argv[2]) || 8085;
+const statements = [];
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Experience-API-Version'
+};
+
+/**
+ * Send a JSON response
+ */
+function sendJSON(response, status, body) {
+    response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Read the request body
+ */
+async function readBody(request) {
+    let body = '';
+    for await (const chunk of request) {
+        body += chunk;
+    }
+    return body;
+}
+
+/**
+ * One line per statement: verb, object and result
+ */
+function describe(statement) {
+    const verb = statement.verb && statement.verb.display ? Object.values(statement.verb.display)[0] : '?';
+    const result = statement.result || {};
+    const score = result.score ? ` score ${result.score.raw}/${result.score.max}` : '';
+    const success = result.success === undefined ? '' : result.success ? ' ✓' : ' ✗';
+    return `${verb} ${statement.object ? statement.object.id : '?'}${success}${score}`;
+}
+
+const server = createServer(async (request, response) => {
+    const url = new URL(request.url, `http://localhost:${port}`);
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, CORS_HEADERS);
+        response.end();
+        return;
+    }
+
+    if (url.pathname !== '/xapi/statements') {
+        sendJSON(response, 404, { error: 'Not found' });
+        return;
+    }
+
+    if (request.method === 'GET') {
+        sendJSON(response, 200, { statements, more: '' });
+        return;
+    }
+
+    if (request.method !== 'POST') {
+        sendJSON(response, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    if (!request.headers['x-experience-api-version']) {
+        sendJSON(response, 400, { error: 'Missing X-Experience-API-Version header' });
+        return;
+    }
+
+    try {
+        const body = JSON.parse(await readBody(request));
+        const received = (Array.isArray(body) ? body : [body]).map(statement => ({
+            id: randomUUID(),
+            stored: new Date().toISOString(),
+            ...statement
+        }));
+
+        received.forEach(statement => {
+            statements.push(statement);
+            console.log(describe(statement));
+        });
+        sendJSON(response, 200, received.map(statement => statement.id));
+    } catch (error) {
+        sendJSON(response, 400, { error: `Invalid statement: ${error.message}` });
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Stub LRS listening on http://localhost:${port}/xapi/`);
+});
@@ -0,0 +1,59 @@
+/**
+ * VTT validator
+ *
+ * Checks the cues and embedded questions of lesson VTT files and prints
+ * every problem as file:line. Exits with code 1 if any file has errors.
+ *
+ * Usage: node scripts/validate-vtt.mjs [file.vtt ...]   (default: all of audio/*.vtt)
+ */
+import { readdir, readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+import { VTTValidator } from '../js/modules/vtt-validator.js';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const audioDir = path.join(rootDir, 'audio');
+
+/**
+ * Files named on the command line, or every lesson VTT
+ */
+async function findFiles() {
+    const args = process.argv.slice(2);
+    if (args.length > 0) {
+        return args.map(file => path.resolve(file));
+    }
+
+    return (await readdir(audioDir))
+        .filter(file => /^[A-Z0-9]+\.vtt$/.test(file))
+        .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }))
+        .map(file => path.join(audioDir, file));
+}
+
+async function main() {
+    const validator = new VTTValidator();
+    const files = await findFiles();
+    let errorCount = 0;
+    let warningCount = 0;
+
+    for (const file of files) {
+        const result = validator.validate(await readFile(file, 'utf8'));
+        const name = path.relative(process.cwd(), file);
+
+        result.errors.forEach(diagnostic => console.log(validator.formatDiagnostic(diagnostic, 'error', name)));
+        result.warnings.forEach(diagnostic => console.log(validator.formatDiagnostic(diagnostic, 'warning', name)));
+
+        errorCount += result.errors.length;
+        warningCount += result.warnings.length;
+    }
+
+    console.log(`Checked ${files.length} files: ${errorCount} errors, ${warningCount} warnings`);
+    if (errorCount > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error('Failed to validate VTT files:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,151 @@
+/**
+ * Service worker: caches the app shell and serves lessons downloaded for offline use
+ *
+ * Cache names must match CONFIG.offline in js/config.js. Bump SHELL_CACHE when the
+ * shell list changes; files missing from the list are still cached on first use.
+ */
+const SHELL_CACHE = 'listening-tool-shell-v5';
+const LESSON_CACHE = 'listening-tool-lessons';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'css/styles.css',
+    'js/app.js',
+    'js/config.js',
+    'js/utils/dom-helpers.js',
+    'js/utils/text-helpers.js',
+    'js/modules/adaptive-engine.js',
+    'js/modules/answer-formatter.js',
+    'js/modules/audio-player.js',
+    'js/modules/cloze-controller.js',
+    'js/modules/cloze-generator.js',
+    'js/modules/dictation-controller.js',
+    'js/modules/embed-bridge.js',
+    'js/modules/exam-controller.js',
+    'js/modules/hint-builder.js',
+    'js/modules/keyboard-shortcuts.js',
+    'js/modules/lesson-browser.js',
+    'js/modules/lesson-loader.js',
+    'js/modules/lms-reporter.js',
+    'js/modules/loop-control.js',
+    'js/modules/offline-store.js',
+    'js/modules/progress-store.js',
+    'js/modules/question-generator.js',
+    'js/modules/quiz-controller.js',
+    'js/modules/results-exporter.js',
+    'js/modules/results-report.js',
+    'js/modules/review-scheduler.js',
+    'js/modules/sequencing-controller.js',
+    'js/modules/session-mixer.js',
+    'js/modules/shortcut-help.js',
+    'js/modules/speed-control.js',
+    'js/modules/transcript-panel.js',
+    'js/modules/vtt-validator.js',
+    'js/modules/word-highlighter.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop shell caches of older versions; downloaded lessons are kept
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('listening-tool-shell-') && name !== SHELL_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (/\.mp3$/i.test(url.pathname)) {
+        event.respondWith(serveAudio(request));
+    } else if (/\.(vtt|json)$/i.test(url.pathname)) {
+        event.respondWith(serveLessonData(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(serveShell(request));
+    }
+});
+
+/**
+ * Audio: the downloaded copy if there is one (with Range support for seeking), else the network
+ */
+async function serveAudio(request) {
+    const cached = await caches.match(request.url, { ignoreSearch: true });
+    if (!cached) {
+        return fetch(request);
+    }
+
+    const range = request.headers.get('Range');
+    if (!range) {
+        return cached;
+    }
+
+    const blob = await cached.blob();
+    const match = /bytes=(\d*)-(\d*)/.exec(range);
+    const start = match && match[1] ? Number(match[1]) : 0;
+    const end = match && match[2] ? Math.min(Number(match[2]), blob.size - 1) : blob.size - 1;
+    if (start >= blob.size || start > end) {
+        return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+    }
+
+    return new Response(blob.slice(start, end + 1), {
+        status: 206,
+        headers: {
+            'Content-Type': cached.headers.get('Content-Type') || 'audio/mpeg',
+            'Content-Length': String(end - start + 1),
+            'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+            'Accept-Ranges': 'bytes'
+        }
+    });
+}
+
+/**
+ * VTT files and the catalog: the network first (keeping downloaded copies current), the cache when offline
+ */
+async function serveLessonData(request) {
+    const cache = await caches.open(LESSON_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok && await cache.match(request.url)) {
+            await cache.put(request.url, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request.url, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * App shell: answer from the cache and refresh it in the background
+ */
+async function serveShell(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(error => {
+            if (cached) return cached;
+            throw error;
+        });
+
+    return cached || update;
+}